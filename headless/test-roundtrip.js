@@ -0,0 +1,55 @@
+// Round-trip test: a run's config.json, fed back with --config, must reproduce the run exactly
+// Trains two short runs (the second from the first's config.json) and compares their settings and metrics.
+//
+// Usage: node test-roundtrip.js   (or npm test)
+
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import assert from 'node:assert/strict';
+
+const UPDATES = 2;
+const SEED = 7;
+
+// Small but real: enough cars and episodes that every update trains on full minibatches
+const OVERRIDES = { NUM_ENVS: 8, DEBUG_LOG: false, PPO: { MIN_EPISODES_FOR_UPDATE: 8, EPOCHS_PER_UPDATE: 1 } };
+
+const run = promisify(execFile);
+const trainScript = path.join(path.dirname(new URL(import.meta.url).pathname), 'train.js');
+
+async function train(outDir, configFile) {
+    await run(process.execPath, [
+        trainScript, '--updates', String(UPDATES), '--seed', String(SEED), '--config', configFile, '--out', outDir,
+    ]);
+    const metrics = (await readFile(path.join(outDir, 'metrics.jsonl'), 'utf8'))
+        .trim().split('\n').map(line => JSON.parse(line));
+    return { config: await readFile(path.join(outDir, 'config.json'), 'utf8'), metrics };
+}
+
+// Metrics without wall-clock time, which differs between any two runs
+function comparable(metrics) {
+    return metrics.map(({ wallTime, ...row }) => row);
+}
+
+const dir = await mkdtemp(path.join(tmpdir(), 'krampuskart-roundtrip-'));
+try {
+    const overridesFile = path.join(dir, 'overrides.json');
+    await writeFile(overridesFile, JSON.stringify(OVERRIDES));
+    
+    console.log('🏁 Training from overrides...');
+    const first = await train(path.join(dir, 'first'), overridesFile);
+    console.log('🔁 Training again from its config.json...');
+    const second = await train(path.join(dir, 'second'), path.join(dir, 'first', 'config.json'));
+    
+    assert.equal(JSON.parse(first.config).MAX_EPISODE_LENGTH, 'Infinity', 'MAX_EPISODE_LENGTH written as "Infinity"');
+    assert.equal(second.config, first.config, 'config.json reproduces itself');
+    assert.equal(second.metrics.length, UPDATES);
+    assert.ok(second.metrics.every(row => !row.diagnostics.skipped), 'every update trained a minibatch');
+    assert.deepEqual(comparable(second.metrics), comparable(first.metrics), 'same metrics from config.json');
+    
+    console.log(`✅ config.json round-trips: ${UPDATES} identical updates`);
+} finally {
+    await rm(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,206 @@
+// Headless PPO training runner for Node.js
+// Reuses the browser simulation modules with no rendering; writes metrics and checkpoints to disk.
+//
+// Usage:
+//   node train.js --updates 200 [--config example-config.json] [--out runs/my-run]
+//   node train.js --steps 1000000 --resume runs/my-run/checkpoint-latest.json
+//
+// Checkpoints use the same format as the browser's "Export File", so "Import File" loads them.
+// run.json uses the experiment format, so the browser's Experiments view can import and compare it.
+
+import { parseArgs } from 'node:util';
+import { mkdir, readFile, writeFile, appendFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const USAGE = `Usage: node train.js (--steps N | --updates N) [options]
+  
+  --steps N             Stop after N environment steps (summed over all cars)
+  --updates N           Stop after N PPO updates
+  --config FILE         JSON overrides for CONFIG (e.g. { "NUM_ENVS": 48, "PPO": { "LEARNING_RATE": 1e-4 } })
+  --track FILE          Track JSON saved from the browser's track editor (default: built-in circuit)
+  --random-track SEED   Train on a generated track (difficulty from CONFIG.TRACK_GEN)
+  --seed N              Seed for all randomness (default: CONFIG.SEED, or random); recorded in config.json
+  --out DIR             Output directory (default: runs/<timestamp>)
+  --checkpoint-every N  Write a checkpoint every N updates (default: 10)
+  --resume FILE         Start from a checkpoint instead of pretraining
+  --help                Show this message`;
+
+const { values: args } = parseArgs({
+    options: {
+        steps: { type: 'string' },
+        updates: { type: 'string' },
+        config: { type: 'string' },
+        track: { type: 'string' },
+        'random-track': { type: 'string' },
+        seed: { type: 'string' },
+        out: { type: 'string' },
+        'checkpoint-every': { type: 'string', default: '10' },
+        resume: { type: 'string' },
+        help: { type: 'boolean', default: false },
+    },
+});
+
+if (args.help || (!args.steps && !args.updates)) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+}
+
+const maxSteps = args.steps ? Number(args.steps) : Infinity;
+const maxUpdates = args.updates ? Number(args.updates) : Infinity;
+const checkpointEvery = Number(args['checkpoint-every']);
+const outDir = args.out ?? path.join('runs', new Date().toISOString().replace(/[:.]/g, '-'));
+
+// Prefer the native backend; fall back to pure-JS CPU when it is not installed
+async function loadTensorFlow() {
+    try {
+        const tfNode = await import('@tensorflow/tfjs-node');
+        return tfNode.default ?? tfNode;
+    } catch {
+        const tf = await import('@tensorflow/tfjs');
+        await tf.setBackend('cpu');
+        return tf;
+    }
+}
+
+const tf = await loadTensorFlow();
+await tf.ready();
+console.log(`🧮 TensorFlow.js ${tf.version.tfjs} (${tf.getBackend()} backend)`);
+
+// The simulation modules expect a global `tf` like the CDN build provides,
+// so they are imported only after it exists
+globalThis.tf = tf;
+
+const { CONFIG, applyConfigOverrides, stringifyConfig } = await import('../js/config.js');
+const { DEFAULT_TRACK, createTrack } = await import('../js/tracks.js');
+const { generateTrack } = await import('../js/track-generator.js');
+const { PPOAgent } = await import('../js/ppo/ppo-agent.js');
+const { formatScheduledValues } = await import('../js/ppo/schedules.js');
+const { spawnCars } = await import('../js/simulation.js');
+const { createTrainingStats, stepEnvironment, isRolloutComplete, runPPOUpdate } = await import('../js/training.js');
+const { startCurriculum, describeCurriculum } = await import('../js/curriculum.js');
+const { createRun, metricsRow } = await import('../js/experiments.js');
+const { seedRandom } = await import('../js/rng.js');
+
+if (args.config) {
+    applyConfigOverrides(JSON.parse(await readFile(args.config, 'utf8')));
+}
+if (args.seed !== undefined) {
+    CONFIG.SEED = Number(args.seed);
+}
+
+// Record the seed actually used, so config.json alone reproduces the run
+CONFIG.SEED = seedRandom(CONFIG.SEED);
+console.log(`🎲 Random seed: ${CONFIG.SEED}`);
+
+await mkdir(outDir, { recursive: true });
+await writeFile(path.join(outDir, 'config.json'), stringifyConfig(CONFIG, 2));
+const metricsPath = path.join(outDir, 'metrics.jsonl');
+const runPath = path.join(outDir, 'run.json');
+
+// === Setup ===
+
+let trackData = DEFAULT_TRACK;
+if (args.track) {
+    trackData = JSON.parse(await readFile(args.track, 'utf8'));
+} else if (args['random-track']) {
+    trackData = generateTrack(args['random-track']);
+}
+
+const state = {
+    trackData,
+    track: createTrack(trackData),
+    cars: [],
+    agent: null,
+    ...createTrainingStats(),
+};
+
+if (args.resume) {
+    const checkpoint = JSON.parse(await readFile(args.resume, 'utf8'));
+    state.agent = await PPOAgent.fromCheckpoint(checkpoint);
+    state.updateCount = state.agent.updateCount;
+    state.totalSteps = state.agent.totalSteps;
+    console.log(`📂 Resumed from ${args.resume} (update #${state.updateCount})`);
+} else {
+    state.agent = new PPOAgent();
+    await state.agent.pretrain();
+}
+
+state.cars = spawnCars(state.track, CONFIG.NUM_ENVS, {
+    lateralSpread: CONFIG.SPAWN_LATERAL_SPREAD,
+    longitudinalSpread: CONFIG.SPAWN_LONGITUDINAL_SPREAD,
+});
+
+// Snapshot CONFIG before the curriculum applies its first stage
+const run = createRun({ name: path.basename(outDir), seed: CONFIG.SEED, track: state.trackData.name });
+
+if (startCurriculum(state)) {
+    console.log(`🎓 Curriculum stage ${describeCurriculum(state)}`);
+}
+
+async function writeCheckpoint(name) {
+    const file = path.join(outDir, `${name}.json`);
+    await writeFile(file, JSON.stringify(await state.agent.getCheckpoint()));
+    return file;
+}
+
+// Finish the current step, then save and exit cleanly on Ctrl-C
+let stopRequested = false;
+process.on('SIGINT', () => {
+    if (stopRequested) process.exit(130);
+    stopRequested = true;
+    console.log('\n⏹️  Stopping after the current step (Ctrl-C again to abort)');
+});
+
+// === Training loop ===
+
+console.log(`🏁 Training ${CONFIG.NUM_ENVS} cars on "${state.trackData.name ?? 'Untitled'}" → ${outDir}`);
+const startTime = Date.now();
+const startUpdate = state.updateCount;
+const startSteps = state.totalSteps;
+let frames = 0;
+
+while (!stopRequested &&
+       state.updateCount - startUpdate < maxUpdates &&
+       state.totalSteps - startSteps < maxSteps) {
+    stepEnvironment(state);
+    frames++;
+    
+    if (isRolloutComplete(state)) {
+        const result = await runPPOUpdate(state);
+        const { stats, avgReward, newTrack } = result;
+        const elapsed = (Date.now() - startTime) / 1000;
+        const row = metricsRow(state, result, elapsed);
+        
+        run.metrics.push(row);
+        await appendFile(metricsPath, JSON.stringify(row) + '\n');
+        
+        const { approxKL, clipFraction, explainedVariance, epochs } = stats.diagnostics;
+        console.log(`📊 Update #${stats.updateCount} | steps ${state.totalSteps} | avg reward ${avgReward.toFixed(1)} | ` +
+            `KL ${approxKL.toExponential(1)} clip ${(clipFraction * 100).toFixed(0)}% EV ${explainedVariance.toFixed(2)} | ` +
+            `${epochs}/${CONFIG.PPO.EPOCHS_PER_UPDATE} epochs | ${formatScheduledValues(stats.hyperparams)} | ${elapsed.toFixed(0)}s`);
+        if (stats.diagnostics.skipped) {
+            console.warn(`⚠️ No minibatch trained - fewer than half a batch (BATCH_SIZE ${CONFIG.PPO.BATCH_SIZE}) of steps collected`);
+        }
+        if (newTrack) {
+            console.log(`🎲 New random track "${newTrack.name}"`);
+        }
+        if (row.stageChange) {
+            console.log(`🎓 Curriculum stage ${describeCurriculum(state)}`);
+        }
+        
+        if (stats.updateCount % checkpointEvery === 0) {
+            await writeCheckpoint(`checkpoint-${String(stats.updateCount).padStart(5, '0')}`);
+            await writeCheckpoint('checkpoint-latest');
+            await writeFile(runPath, JSON.stringify(run));
+        }
+    }
+    
+    // Yield to the event loop now and then so SIGINT is delivered
+    if (frames % 100 === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+const finalFile = await writeCheckpoint('checkpoint-latest');
+await writeFile(runPath, JSON.stringify(run));
+console.log(`✅ Done: ${state.updateCount - startUpdate} updates, ${state.totalSteps - startSteps} steps. Checkpoint: ${finalFile}`);
@@ -1,6 +1,9 @@
 import { CONFIG } from './config.js';
 import { rayCircleIntersection, getGridPosition, normalizeAngle } from './utils.js';
 
+// Policy outputs in order; CONFIG.PPO.ACTION_DIM picks how many are learned
+export const ACTION_NAMES = ['steer', 'throttle', 'brake'];
+
 export class Car {
     constructor(id, x, y, angle) {
         this.id = id;
@@ -15,6 +18,7 @@ export class Car {
         
         this.dead = false;
         this.finished = false;
+        this.truncated = false;  // Ended by MAX_EPISODE_LENGTH (also sets dead)
         
         this.sensors = new Array(CONFIG.SENSOR_COUNT).fill(CONFIG.SENSOR_LENGTH);
         this.prevSensors = null;  // For TTC calculation (null until first real reading)
@@ -40,8 +44,12 @@ export class Car {
         this.episodeLength = 0;
         this.criticPrediction = 0;       // V₀: what critic predicted at episode start
         
-        // Episode trajectory for "complete episodes only" training
-        this.trajectory = [];            // [{state, action, reward, value, logProb}, ...]
+        // Steps not yet handed to the agent (flushed at episode end, or at the rollout horizon in 'steps' mode)
+        this.trajectory = [];            // [{state, action, reward, value, logProb, recurrentState, policyVersion}, ...]
+        this.rewardReturn = 0;           // Reward normalization's running return, carried across horizon cuts
+        
+        // Recurrent policy memory: the last decision's nextRecurrentState (null = fresh, cleared each episode)
+        this.recurrentState = null;
     }
     
     // Get normalized state vector for PPO
@@ -69,18 +77,31 @@ export class Car {
         return normalizeAngle(this.angle - trackAngle);
     }
     
-    // Apply action from PPO agent
+    // Apply action from PPO agent: [steer, throttle?, brake?], each in [-1, 1]
+    // Outputs the policy doesn't learn (ACTION_DIM < 3) default to full throttle and no brake
     applyAction(action) {
-        const [steer] = action;
+        const [steer, throttleOut, brakeOut] = action;
+        
+        // Throttle: [-1, 1] is full reverse..full forward with ALLOW_REVERSE, else mapped onto [0, 1]
+        const throttle = throttleOut === undefined ? 1.0
+            : CONFIG.ALLOW_REVERSE ? throttleOut
+            : (throttleOut + 1) / 2;
         
-        // Hardcoded throttle: always forward
-        const throttle = 1.0;
+        // Brake: only positive outputs brake, so an untrained policy (mean 0) barely touches it
+        const brake = brakeOut === undefined ? 0 : Math.max(0, brakeOut);
         
         // Apply physics
         this.speed += CONFIG.CAR_ACCEL * throttle;
         this.angle += steer * CONFIG.CAR_TURN_SPEED;
         this.speed *= CONFIG.CAR_FRICTION;
-        this.speed = Math.max(0, this.speed);  // No reverse
+        
+        // Braking pulls speed toward zero, in either direction
+        const braked = Math.max(0, Math.abs(this.speed) - CONFIG.CAR_BRAKE * brake);
+        this.speed = Math.sign(this.speed) * braked;
+        
+        if (!CONFIG.ALLOW_REVERSE) {
+            this.speed = Math.max(0, this.speed);  // No reverse
+        }
         
         this.x += Math.cos(this.angle) * this.speed;
         this.y += Math.sin(this.angle) * this.speed;
@@ -114,9 +135,10 @@ export class Car {
         // Update progress
         this.#updateProgress(track);
         
-        // Check episode length limit
-        if (this.timer >= CONFIG.MAX_EPISODE_LENGTH) {
+        // Check episode length limit (out of time, not crashed: the episode is truncated, not terminated)
+        if (this.timer >= CONFIG.MAX_EPISODE_LENGTH && !this.dead && !this.finished) {
             this.dead = true;
+            this.truncated = true;
         }
     }
     
@@ -266,6 +288,7 @@ export class Car {
         this.speed = 0;
         this.dead = false;
         this.finished = false;
+        this.truncated = false;
         this.timer = 0;
         this.graceTimer = CONFIG.GRACE_PERIOD;
         this.rawProgress = 0;
@@ -279,7 +302,9 @@ export class Car {
         this.episodeDiscountedReturn = 0;
         this.episodeLength = 0;
         this.criticPrediction = 0;
+        this.recurrentState = null;
         this.trajectory = [];
+        this.rewardReturn = 0;
         this.sensors.fill(CONFIG.SENSOR_LENGTH);
         this.prevSensors = null;
     }
@@ -6,8 +6,9 @@
  * @param {number} width
  * @param {number} height
  * @param {number[]} data - Array of average rewards per PPO update
+ * @param {Object[]} [markers] - Vertical markers { index, label } (e.g. curriculum stage changes)
  */
-export function drawRewardChart(ctx, width, height, data) {
+export function drawRewardChart(ctx, width, height, data, markers = []) {
     ctx.clearRect(0, 0, width, height);
     
     // Background
@@ -62,6 +63,23 @@ export function drawRewardChart(ctx, width, height, data) {
         ctx.setLineDash([]);
     }
     
+    // Draw markers (after the data point they follow)
+    ctx.strokeStyle = '#facc15';
+    ctx.fillStyle = '#facc15';
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'center';
+    ctx.setLineDash([2, 3]);
+    for (const marker of markers) {
+        if (marker.index < 0 || marker.index >= data.length) continue;
+        const x = padding.left + (marker.index / (data.length - 1)) * chartW;
+        ctx.beginPath();
+        ctx.moveTo(x, padding.top);
+        ctx.lineTo(x, padding.top + chartH);
+        ctx.stroke();
+        ctx.fillText(marker.label, x, padding.top + chartH + 10);
+    }
+    ctx.setLineDash([]);
+    
     // Draw reward line
     ctx.strokeStyle = '#4ade80';  // Green
     ctx.lineWidth = 2;
@@ -90,3 +108,169 @@ export function drawRewardChart(ctx, width, height, data) {
     ctx.fillStyle = '#4ade80';
     ctx.fillText(`Avg Reward: ${latest.toFixed(1)}`, padding.left, padding.top - 8);
 }
+
+/**
+ * Overlay several runs' curves on shared axes (experiment comparison)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {Object[]} series - [{ label, color, points: [{ x, y }] }]
+ * @param {Object} [axes] - { xLabel, yLabel }
+ */
+export function drawComparisonChart(ctx, width, height, series, { xLabel = '', yLabel = '' } = {}) {
+    ctx.clearRect(0, 0, width, height);
+    
+    // Background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.fillRect(0, 0, width, height);
+    
+    const allPoints = series.flatMap(s => s.points).filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+    if (allPoints.length < 2) {
+        ctx.fillStyle = '#666';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('Select runs to compare', 10, height / 2);
+        return;
+    }
+    
+    const padding = { top: 15, right: 10, bottom: 30, left: 55 };
+    const chartW = width - padding.left - padding.right;
+    const chartH = height - padding.top - padding.bottom;
+    
+    const minX = Math.min(...allPoints.map(p => p.x));
+    const maxX = Math.max(...allPoints.map(p => p.x));
+    let minY = Math.min(...allPoints.map(p => p.y));
+    let maxY = Math.max(...allPoints.map(p => p.y));
+    const range = maxY - minY || 1;
+    minY -= range * 0.05;
+    maxY += range * 0.05;
+    
+    const toX = x => padding.left + ((x - minX) / (maxX - minX || 1)) * chartW;
+    const toY = y => padding.top + chartH - ((y - minY) / (maxY - minY)) * chartH;
+    
+    // Grid and Y-axis labels
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.font = '9px monospace';
+    for (let i = 0; i <= 4; i++) {
+        const y = padding.top + (chartH * i / 4);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+        
+        const val = maxY - (i / 4) * (maxY - minY);
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.fillText(Math.abs(val) >= 100 ? val.toFixed(0) : val.toPrecision(3), padding.left - 5, y + 3);
+    }
+    
+    // X-axis range
+    ctx.textAlign = 'left';
+    ctx.fillText(String(Math.round(minX)), padding.left, height - padding.bottom + 12);
+    ctx.textAlign = 'right';
+    ctx.fillText(String(Math.round(maxX)), width - padding.right, height - padding.bottom + 12);
+    
+    // One line per run
+    for (const s of series) {
+        const points = s.points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+        ctx.strokeStyle = s.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, i) => i === 0 ? ctx.moveTo(toX(p.x), toY(p.y)) : ctx.lineTo(toX(p.x), toY(p.y)));
+        ctx.stroke();
+    }
+    
+    // Axis labels
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'center';
+    ctx.fillText(xLabel, padding.left + chartW / 2, height - 5);
+    ctx.save();
+    ctx.translate(10, padding.top + chartH / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+}
+
+// Rows of the diagnostics chart: label, value getters (one line each), number format
+const DIAGNOSTIC_ROWS = [
+    { label: 'KL', series: [d => d.approxKL], format: v => v.toExponential(1) },
+    { label: 'Clip %', series: [d => d.clipFraction * 100], format: v => v.toFixed(1) },
+    { label: 'Expl var', series: [d => d.explainedVariance], format: v => v.toFixed(2) },
+    { label: '|∇| A/C', series: [d => d.gradNorm.actor, d => d.gradNorm.critic], format: v => v.toPrecision(2) },
+    { label: 'Δθ A/C', series: [d => d.paramChange.actor, d => d.paramChange.critic], format: v => v.toPrecision(2) },
+];
+const DIAGNOSTIC_COLORS = ['#60a5fa', '#f472b6'];  // Actor, critic (or the single series)
+
+/**
+ * Draw per-update PPO diagnostics as stacked sparklines, each scaled to its own range
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {Object[]} data - Diagnostics per PPO update ({ approxKL, clipFraction, explainedVariance, gradNorm, paramChange })
+ */
+export function drawDiagnosticsChart(ctx, width, height, data) {
+    ctx.clearRect(0, 0, width, height);
+    
+    // Background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.fillRect(0, 0, width, height);
+    
+    if (!data || data.length < 2) {
+        ctx.fillStyle = '#666';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('Waiting for PPO updates...', 10, height / 2);
+        return;
+    }
+    
+    const padding = { left: 60, right: 90 };
+    const chartW = width - padding.left - padding.right;
+    const rowH = height / DIAGNOSTIC_ROWS.length;
+    
+    DIAGNOSTIC_ROWS.forEach((row, r) => {
+        const top = r * rowH + 3;
+        const h = rowH - 6;
+        const lines = row.series.map(get => data.map(get));
+        const all = lines.flat().filter(Number.isFinite);
+        const minVal = Math.min(...all);
+        const maxVal = Math.max(...all);
+        const range = maxVal - minVal || 1;
+        
+        // Row separator
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, r * rowH);
+        ctx.lineTo(width, r * rowH);
+        ctx.stroke();
+        
+        // Label
+        ctx.fillStyle = '#888';
+        ctx.font = '9px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(row.label, 5, top + h / 2 + 3);
+        
+        lines.forEach((values, i) => {
+            ctx.strokeStyle = DIAGNOSTIC_COLORS[i];
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            values.forEach((v, j) => {
+                const x = padding.left + (j / (values.length - 1)) * chartW;
+                const y = top + h - ((v - minVal) / range) * h;
+                if (j === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+        
+        // Latest values
+        ctx.textAlign = 'right';
+        const latest = lines.map(values => values[values.length - 1]);
+        latest.forEach((v, i) => {
+            ctx.fillStyle = DIAGNOSTIC_COLORS[i];
+            const x = width - 5 - (latest.length - 1 - i) * 42;
+            ctx.fillText(Number.isFinite(v) ? row.format(v) : '—', x, top + h / 2 + 3);
+        });
+    });
+}
@@ -0,0 +1,63 @@
+// Browser persistence for PPO checkpoints: IndexedDB slots and file export/import
+// Serialization itself lives in PPOAgent.getCheckpoint() / loadCheckpoint()
+
+import { idbPut, idbGet, idbKeys, idbDelete } from './idb.js';
+import { downloadJSON, readJSONFile } from './file-io.js';
+import { validateCheckpoint } from './ppo/checkpoint.js';
+
+const STORE = 'checkpoints';
+
+/**
+ * Save a checkpoint under a name (overwrites an existing slot)
+ * @param {string} name
+ * @param {Object} checkpoint - From PPOAgent.getCheckpoint()
+ */
+export async function saveCheckpoint(name, checkpoint) {
+    await idbPut(STORE, name, checkpoint);
+}
+
+/**
+ * Load a named checkpoint
+ * @param {string} name
+ * @returns {Promise<Object>}
+ * @throws {Error} If no checkpoint exists under that name
+ */
+export async function loadCheckpoint(name) {
+    const checkpoint = await idbGet(STORE, name);
+    if (!checkpoint) {
+        throw new Error(`No checkpoint named "${name}"`);
+    }
+    return checkpoint;
+}
+
+/**
+ * @returns {Promise<string[]>} Names of all saved checkpoints
+ */
+export async function listCheckpoints() {
+    return idbKeys(STORE);
+}
+
+export async function deleteCheckpoint(name) {
+    await idbDelete(STORE, name);
+}
+
+/**
+ * Trigger a browser download of a checkpoint as JSON
+ * @param {Object} checkpoint
+ * @param {string} filename
+ */
+export function downloadCheckpoint(checkpoint, filename) {
+    downloadJSON(checkpoint, filename);
+}
+
+/**
+ * Parse a checkpoint from a user-selected file
+ * @param {File} file
+ * @returns {Promise<Object>}
+ * @throws {Error} If the file is not a valid checkpoint
+ */
+export async function readCheckpointFile(file) {
+    const checkpoint = await readJSONFile(file);
+    validateCheckpoint(checkpoint);
+    return checkpoint;
+}
@@ -0,0 +1,90 @@
+// Schema for the CONFIG settings exposed in the settings panel and shareable links
+// apply: 'live'    - takes effect immediately (read from CONFIG on each use, or pushed to the agent)
+//        'rebuild' - only used when the agent is created, so it needs Rebuild Agent / Reset Training
+
+import { CONFIG } from './config.js';
+
+export const CONFIG_SCHEMA = [
+    // PPO algorithm
+    { path: 'PPO.LEARNING_RATE', label: 'Learning rate', type: 'float', min: 1e-6, max: 1e-1, apply: 'live' },
+    { path: 'PPO.CLIP_EPSILON', label: 'Clip ε', type: 'float', min: 0.01, max: 1, step: 0.01, apply: 'live' },
+    { path: 'PPO.ENTROPY_COEF', label: 'Entropy coef', type: 'float', min: 0, max: 1, step: 0.001, apply: 'live' },
+    { path: 'PPO.GAMMA', label: 'Gamma (γ)', type: 'float', min: 0.8, max: 0.9999, step: 0.001, apply: 'live' },
+    { path: 'PPO.GAE_LAMBDA', label: 'GAE λ', type: 'float', min: 0, max: 1, step: 0.01, apply: 'live' },
+    
+    // Training schedule
+    { path: 'PPO.EPOCHS_PER_UPDATE', label: 'Epochs / update', type: 'int', min: 1, max: 100, apply: 'live' },
+    { path: 'PPO.TARGET_KL', label: 'Target KL (0 = off)', type: 'float', min: 0, max: 1, step: 0.005, apply: 'live' },
+    { path: 'PPO.BATCH_SIZE', label: 'Batch size', type: 'int', min: 8, max: 4096, apply: 'live' },
+    { path: 'PPO.MIN_EPISODES_FOR_UPDATE', label: 'Episodes / update', type: 'int', min: 1, max: 500, apply: 'live' },
+    { path: 'PPO.CRITIC_EPOCHS', label: 'Critic epochs (0 = same)', type: 'int', min: 0, max: 100, apply: 'live' },
+    { path: 'PPO.CRITIC_BATCH_SIZE', label: 'Critic batch (0 = same)', type: 'int', min: 0, max: 4096, apply: 'live' },
+    
+    // Critic loss
+    { path: 'PPO.VALUE_CLIP', label: 'Value clip (clipped)', type: 'float', min: 0, max: 10000, step: 1, apply: 'live' },
+    { path: 'PPO.HUBER_DELTA', label: 'Huber δ (huber)', type: 'float', min: 0, max: 10000, step: 1, apply: 'live' },
+    
+    // Reward
+    { path: 'PPO.PROGRESS_WEIGHT', label: 'Progress weight', type: 'float', min: 0, max: 10000, step: 10, apply: 'live' },
+    
+    // Needs a new agent
+    { path: 'PPO.HIDDEN_UNITS', label: 'Hidden units', type: 'list', apply: 'rebuild' },
+    { path: 'PPO.ACTION_DIM', label: 'Actions (1 steer, 2 +throttle, 3 +brake)', type: 'int', min: 1, max: 3, apply: 'rebuild' },
+];
+
+// Values at load time, before any stored or URL overrides
+const DEFAULTS = new Map(CONFIG_SCHEMA.map(entry => [entry.path, structuredClone(getConfigValue(entry.path))]));
+
+export function getConfigValue(path) {
+    return path.split('.').reduce((section, key) => section[key], CONFIG);
+}
+
+export function setConfigValue(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const section = keys.reduce((s, key) => s[key], CONFIG);
+    section[last] = value;
+}
+
+export function getDefaultValue(path) {
+    return structuredClone(DEFAULTS.get(path));
+}
+
+export function isDefaultValue(path, value) {
+    return formatSettingValue(getSchemaEntry(path), value) === formatSettingValue(getSchemaEntry(path), DEFAULTS.get(path));
+}
+
+export function getSchemaEntry(path) {
+    return CONFIG_SCHEMA.find(entry => entry.path === path);
+}
+
+/**
+ * Parse a setting from text (form input or URL parameter)
+ * @param {Object} entry - Schema entry
+ * @param {string} text
+ * @returns {number|number[]} Parsed value
+ * @throws {Error} If the text is not a valid value for this setting
+ */
+export function parseSettingValue(entry, text) {
+    if (entry.type === 'list') {
+        const values = String(text).split(',').map(s => Number(s.trim()));
+        if (values.length === 0 || values.some(v => !Number.isInteger(v) || v <= 0)) {
+            throw new Error(`${entry.label}: expected positive integers like "64,64", got "${text}"`);
+        }
+        return values;
+    }
+    
+    const value = Number(text);
+    if (!Number.isFinite(value) || (entry.type === 'int' && !Number.isInteger(value))) {
+        throw new Error(`${entry.label}: expected ${entry.type === 'int' ? 'an integer' : 'a number'}, got "${text}"`);
+    }
+    if ((entry.min !== undefined && value < entry.min) || (entry.max !== undefined && value > entry.max)) {
+        throw new Error(`${entry.label}: ${value} is outside [${entry.min}, ${entry.max}]`);
+    }
+    return value;
+}
+
+// Inverse of parseSettingValue
+export function formatSettingValue(entry, value) {
+    return entry.type === 'list' ? value.join(',') : String(value);
+}
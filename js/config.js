@@ -9,6 +9,19 @@ export const CONFIG = {
     // Debug logging
     DEBUG_LOG: true,
     
+    // Reproducibility: same seed + same TF backend → identical trajectories and losses
+    // null picks a random seed at startup (it is logged, so any run can be repeated)
+    SEED: null,
+    
+    // Browser simulation speed: physics steps per frame (1, 2, 4, ...), or 'max' for as many as the CPU allows,
+    // drawing only every MAX_RENDER_EVERY frames (0 = never); the Speed button cycles through them
+    SIM_SPEED: 1,
+    MAX_RENDER_EVERY: 10,
+    
+    // Browser: run PPO updates in a Web Worker (js/ppo/learner-worker.js) while the cars drive on with the previous
+    // weights, so rendering never stalls; false (or a browser without module workers) updates on the main thread
+    WORKER_TRAINING: true,
+    
     // Sensors
     SENSOR_COUNT: 8,
     SENSOR_LENGTH: 600,      // Tripled from 200 for longer range
@@ -16,6 +29,18 @@ export const CONFIG = {
     // Track
     ROAD_HALF_WIDTH: 135,
     TRACK_SAMPLES: 200,
+    TRACK_GRID_CELL: 50,     // Spatial grid cell size in pixels for closest-sample lookups (js/track.js)
+    
+    // Procedural tracks (js/track-generator.js)
+    TRACK_GEN: {
+        CORNERS: 10,             // Control points - more = twistier
+        MIN_CORNER_RADIUS: 180,  // Tightest centerline radius (never below ROAD_HALF_WIDTH)
+        LENGTH: 6000,            // Centerline length in pixels
+        MIN_GAP: 60,             // Off-road gap between non-adjacent sections
+        MAX_ATTEMPTS: 500,       // Candidates per seed before giving up
+        REGENERATE_EVERY: 0,     // New random track every N PPO updates (0 = keep current track)
+        SEED: 1,                 // First seed used by REGENERATE_EVERY
+    },
     
     // Physics
     CAR_ACCEL: 0.44,         // Doubled throttle speed
@@ -24,10 +49,12 @@ export const CONFIG = {
     CAR_COLLISION_RADIUS: 22,
     CAR_SENSOR_RADIUS: 15,
     MAX_SPEED: 12,  // Approximate max speed for normalization
+    CAR_BRAKE: 0.6,          // Speed removed per step at full brake (ACTION_DIM 3)
+    ALLOW_REVERSE: false,    // Learned throttle (ACTION_DIM ≥ 2) can drive backwards; otherwise it ranges from coasting to full
     
     // Timers
     GRACE_PERIOD: 60,
-    MAX_EPISODE_LENGTH: Infinity,  // No timeout - only die from collisions
+    MAX_EPISODE_LENGTH: Infinity,  // No timeout - only die from collisions (a timeout truncates: the episode is bootstrapped)
     
     // Camera
     CAMERA_SMOOTHING: 0.1,
@@ -41,30 +68,140 @@ export const CONFIG = {
     SPAWN_LATERAL_SPREAD: 60,
     SPAWN_LONGITUDINAL_SPREAD: 200,
     
+    // Curriculum (js/curriculum.js): start easy, move to the next stage once the policy copes
+    // Each stage's `config` is applied on top of the base CONFIG (stages don't inherit from each other)
+    CURRICULUM: {
+        ENABLED: false,
+        MIN_EPISODES: 50,        // Episodes on a stage before it can be judged (max 100)
+        STAGES: [
+            {
+                name: 'Wide & gentle',
+                config: { ROAD_HALF_WIDTH: 200, CAR_ACCEL: 0.3, NUM_ENVS: 16 },
+                advance: { lapRate: 0.3 },
+            },
+            {
+                name: 'Wide',
+                config: { ROAD_HALF_WIDTH: 170, CAR_ACCEL: 0.38, NUM_ENVS: 20 },
+                advance: { lapRate: 0.4 },
+            },
+            {
+                name: 'Full circuit',
+                config: {},
+                advance: { lapRate: 0.5, minUpdates: 10 },
+            },
+            {
+                name: 'Random tracks',
+                config: { TRACK_GEN: { REGENERATE_EVERY: 5 } },
+                randomTrack: true,
+                advance: { lapRate: 0.4, minUpdates: 20 },
+            },
+            {
+                name: 'Tight random tracks',
+                config: { TRACK_GEN: { REGENERATE_EVERY: 5, CORNERS: 14, MIN_CORNER_RADIUS: 135 } },
+                randomTrack: true,
+            },
+        ],
+    },
+    
     // PPO Hyperparameters
     PPO: {
         // Network architecture
         INPUT_DIM: 10,           // 8 sensors + speed + angle to track
-        ACTION_DIM: 1,           // steering only (throttle hardcoded)
+        ACTION_DIM: 1,           // 1 = steer (full throttle), 2 = steer + throttle, 3 = steer + throttle + brake
         HIDDEN_UNITS: [4],       // Tiny network - just 4 hidden units!
+        // Per-network specs (js/ppo/actor-critic.js); HIDDEN_UNITS [] = the HIDDEN_UNITS above
+        // ACTIVATION: 'gelu' | 'tanh' | 'relu' | 'silu'; LAYER_NORM: LayerNorm before each activation
+        // INIT: 'he' (He normal hidden layers, small uniform / Glorot output) | 'orthogonal' with GAIN for hidden layers
+        //       (a number, or one per layer) and OUTPUT_GAIN for the output layer
+        ACTOR_NETWORK: { HIDDEN_UNITS: [], ACTIVATION: 'gelu', LAYER_NORM: false, INIT: 'he', GAIN: 1.414, OUTPUT_GAIN: 0.01 },
+        CRITIC_NETWORK: { HIDDEN_UNITS: [], ACTIVATION: 'gelu', LAYER_NORM: false, INIT: 'he', GAIN: 1.414, OUTPUT_GAIN: 1 },
+        SHARED_TRUNK: false,     // One trunk (ACTOR_NETWORK's hidden layers) under both heads, trained with one loss using VALUE_COEF
+        ACTION_DISTRIBUTION: 'clipped',  // 'clipped' (Gaussian clamped to ±1) | 'tanh' (tanh-squashed Gaussian) | 'beta'
+        STATE_DEPENDENT_STD: false,      // Actor outputs a log std per state (true) or learns one global log std (false)
+        // Recurrent policy: TYPE 'none' | 'gru' | 'lstm' cell of UNITS in front of each network (one with SHARED_TRUNK),
+        // its memory carried per car and reset each episode; trained on SEQUENCE_LENGTH-step sequences (truncated BPTT)
+        RECURRENT: { TYPE: 'none', UNITS: 16, SEQUENCE_LENGTH: 16 },
         
         // PPO algorithm
         GAMMA: 0.995,            // Discount factor (longer horizon)
         GAE_LAMBDA: 0.95,        // GAE lambda for advantage estimation
         CLIP_EPSILON: 0.1,       // Tighter clip for stability
         ENTROPY_COEF: 0.01,      // Entropy bonus coefficient
-        VALUE_COEF: 10.0,        // Very high to force critic learning
+        VALUE_COEF: 10.0,        // Very high to force critic learning (SHARED_TRUNK only)
+        
+        // Critic (trained by its own optimizer, so VALUE_COEF does not apply; SHARED_TRUNK ignores these epochs/batch sizes)
+        CRITIC_LOSS: 'mse',      // 'mse' | 'clipped' (PPO2 value clipping) | 'huber'
+        VALUE_CLIP: 10,          // 'clipped': max change of V per update, in return units
+        HUBER_DELTA: 10,         // 'huber': error beyond which the loss grows linearly
+        CRITIC_EPOCHS: 0,        // Epochs over the buffer for the critic (0 = EPOCHS_PER_UPDATE)
+        CRITIC_BATCH_SIZE: 0,    // Critic minibatch size (0 = BATCH_SIZE)
+        
+        // Running normalization (js/ppo/normalizer.js) - statistics are saved in checkpoints; needs a new agent to change
+        NORMALIZE_OBSERVATIONS: false,  // Standardize each input by its running mean/std
+        OBS_CLIP: 10,                   // Clip normalized inputs to ±this
+        NORMALIZE_REWARDS: false,       // Divide rewards by the running std of the discounted return
         
         // Training
         LEARNING_RATE: 3e-4,  // Fast learning rate
         BATCH_SIZE: 64,
         EPOCHS_PER_UPDATE: 10,   // More epochs since we only train on complete episodes
+        TARGET_KL: 0,            // Stop the update's epochs once approx KL to the old policy exceeds this (0 = always run all epochs)
+        ROLLOUT_MODE: 'episodes',    // 'episodes': update after MIN_EPISODES_FOR_UPDATE finished episodes
+                                     // 'steps': update every ROLLOUT_STEPS steps per car (in-flight episodes are bootstrapped)
         MIN_EPISODES_FOR_UPDATE: 20, // Train after this many complete episodes
+        ROLLOUT_STEPS: 256,          // Steps per car per rollout in 'steps' mode
         SUBSAMPLE_RATIO: 1,      // Use all samples
         
+        // Annealing (js/ppo/schedules.js): each starts from the setting above and is re-evaluated every update
+        // type: 'constant' | 'linear' | 'cosine' | 'step'; by: 'steps' | 'updates'
+        // linear/cosine reach `final` after `total`; step multiplies by `factor` every `every` (not below `final`)
+        SCHEDULES: {
+            LEARNING_RATE: { type: 'constant', by: 'steps', total: 1000000, final: 0, every: 100000, factor: 0.5 },
+            CLIP_EPSILON: { type: 'constant', by: 'steps', total: 1000000, final: 0.05, every: 100000, factor: 0.5 },
+            ENTROPY_COEF: { type: 'constant', by: 'steps', total: 1000000, final: 0, every: 100000, factor: 0.5 },
+        },
+        
         // Reward
         PROGRESS_WEIGHT: 500,         // deltaProgress * weight
         DEATH_PENALTY: 0,             // Penalty on crash (0 = disabled)
     }
 };
 
+/**
+ * Merge overrides into CONFIG in place (nested sections merged key by key)
+ * @param {Object} overrides - Partial CONFIG, e.g. { NUM_ENVS: 48, PPO: { LEARNING_RATE: 1e-4 } }
+ * @param {Object} [target] - Section being merged into (used for recursion)
+ * @param {string} [path] - Key path for error messages (used for recursion)
+ * @throws {Error} On keys CONFIG does not have, so typos in config files fail loudly
+ */
+export function applyConfigOverrides(overrides, target = CONFIG, path = '') {
+    for (const [key, value] of Object.entries(overrides)) {
+        const keyPath = path ? `${path}.${key}` : key;
+        if (!(key in target)) {
+            throw new Error(`Unknown config key: ${keyPath}`);
+        }
+        
+        const isSection = target[key] !== null && typeof target[key] === 'object' && !Array.isArray(target[key]);
+        if (isSection) {
+            applyConfigOverrides(value, target[key], keyPath);
+        } else {
+            target[key] = typeof target[key] === 'number' && NON_FINITE.has(value) ? Number(value) : value;
+        }
+    }
+}
+
+// JSON has no Infinity or NaN (JSON.stringify writes null), so stringifyConfig writes them as these strings
+// and applyConfigOverrides turns them back into numbers
+const NON_FINITE = new Set(['Infinity', '-Infinity', 'NaN']);
+
+/**
+ * CONFIG as JSON that applyConfigOverrides reads back unchanged (e.g. MAX_EPISODE_LENGTH: Infinity)
+ * @param {Object} [config] - Config (or section) to write
+ * @param {number} [space] - Indentation, as for JSON.stringify
+ * @returns {string}
+ */
+export function stringifyConfig(config = CONFIG, space) {
+    return JSON.stringify(config, (key, value) => {
+        return typeof value === 'number' && !Number.isFinite(value) ? String(value) : value;
+    }, space);
+}
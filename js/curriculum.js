@@ -0,0 +1,126 @@
+// Curriculum learning - walk training through CONFIG.CURRICULUM.STAGES as the policy improves
+// Shared by the browser and the headless runner; state lives on the training state object
+//
+// A stage is { name, config, randomTrack?, advance? }:
+//   config       Partial CONFIG applied on top of the base settings (ROAD_HALF_WIDTH, CAR_ACCEL, NUM_ENVS, TRACK_GEN, ...)
+//   randomTrack  Train on a generated track (CONFIG.TRACK_GEN as set by this stage) instead of the starting track
+//   advance      { avgReward, lapRate, minUpdates } - all given thresholds must be met to move on;
+//                the last stage (or one without `advance`) is final
+
+import { CONFIG, applyConfigOverrides } from './config.js';
+import { setCarCount } from './simulation.js';
+import { generateTrack } from './track-generator.js';
+import { setTrack } from './training.js';
+import { average } from './utils.js';
+
+/**
+ * Start the curriculum at stage 0 (no-op when CONFIG.CURRICULUM.ENABLED is false)
+ * Remembers the current settings and track so stopCurriculum() can put them back
+ * @param {Object} state - Training state with track, trackData, cars (mutated: curriculum, ...)
+ * @returns {Object|null} The first stage, or null if the curriculum is disabled
+ */
+export function startCurriculum(state) {
+    const { ENABLED, STAGES } = CONFIG.CURRICULUM;
+    if (!ENABLED || STAGES.length === 0) {
+        state.curriculum = null;
+        return null;
+    }
+    
+    // Only the sections some stage touches are restored later
+    const touchedKeys = new Set(STAGES.flatMap(stage => Object.keys(stage.config ?? {})));
+    const baseConfig = {};
+    for (const key of touchedKeys) {
+        baseConfig[key] = structuredClone(CONFIG[key]);
+    }
+    
+    state.curriculum = {
+        stages: STAGES,
+        stage: 0,
+        stageStartUpdate: state.updateCount,
+        baseConfig,
+        baseTrackData: state.trackData,
+    };
+    
+    applyStage(state, 0);
+    return STAGES[0];
+}
+
+/**
+ * Move to the next stage if the current one's thresholds are met (call after each PPO update)
+ * Episode windows are cleared on advance so the next stage is judged on its own episodes
+ * @param {Object} state - Training state (mutated)
+ * @returns {Object|null} The stage just entered, or null if nothing changed
+ */
+export function advanceCurriculum(state) {
+    const curriculum = state.curriculum;
+    if (!curriculum) return null;
+    
+    const { advance } = curriculum.stages[curriculum.stage];
+    const isLast = curriculum.stage === curriculum.stages.length - 1;
+    if (!advance || isLast) return null;
+    
+    if (state.recentLaps.length < CONFIG.CURRICULUM.MIN_EPISODES) return null;
+    if (state.updateCount - curriculum.stageStartUpdate < (advance.minUpdates ?? 1)) return null;
+    if (advance.avgReward !== undefined && average(state.recentRewards) < advance.avgReward) return null;
+    if (advance.lapRate !== undefined && average(state.recentLaps) < advance.lapRate) return null;
+    
+    curriculum.stage++;
+    curriculum.stageStartUpdate = state.updateCount;
+    state.recentRewards = [];
+    state.recentLaps = [];
+    
+    applyStage(state, curriculum.stage);
+    return curriculum.stages[curriculum.stage];
+}
+
+/**
+ * Leave the curriculum: restore the base settings, fleet size and track
+ * @param {Object} state - Training state (mutated)
+ */
+export function stopCurriculum(state) {
+    const curriculum = state.curriculum;
+    if (!curriculum) return;
+    
+    restoreBaseConfig(curriculum);
+    setCarCount(state.cars, CONFIG.NUM_ENVS, state.track);
+    setTrack(state, curriculum.baseTrackData);
+    state.curriculum = null;
+}
+
+/**
+ * Short label for the UI and logs, e.g. "2/5 Wide"
+ * @param {Object} state - Training state
+ * @returns {string}
+ */
+export function describeCurriculum(state) {
+    const curriculum = state.curriculum;
+    if (!curriculum) return 'off';
+    return `${curriculum.stage + 1}/${curriculum.stages.length} ${curriculum.stages[curriculum.stage].name}`;
+}
+
+function applyStage(state, index) {
+    const curriculum = state.curriculum;
+    const stage = curriculum.stages[index];
+    
+    restoreBaseConfig(curriculum);
+    applyConfigOverrides(stage.config ?? {});
+    
+    // Road width is part of the track, so rebuild it with the stage's width
+    let trackData = stage.randomTrack
+        ? generateTrack(CONFIG.TRACK_GEN.SEED + index)
+        : curriculum.baseTrackData;
+    if (stage.config?.ROAD_HALF_WIDTH !== undefined) {
+        trackData = { ...trackData, width: CONFIG.ROAD_HALF_WIDTH };
+    }
+    
+    setCarCount(state.cars, CONFIG.NUM_ENVS, state.track);
+    setTrack(state, trackData);
+    
+    state.stageHistory.push({ updateCount: state.updateCount, stage: index, name: stage.name });
+}
+
+function restoreBaseConfig(curriculum) {
+    for (const [key, value] of Object.entries(curriculum.baseConfig)) {
+        CONFIG[key] = structuredClone(value);
+    }
+}
@@ -43,9 +43,22 @@ class DebugLogger {
             console.log(`  Total Loss:  ${data.loss.total?.toFixed(6) || 'N/A'}`);
         }
         
-        if (data.gradients !== undefined) {
-            console.log(`  Gradients:   ${data.gradients ? '✓ flowing' : '✗ NOT flowing'}`);
-            console.log(`  Weight Δ:    ${data.weightDiff?.toExponential(3) || 'N/A'}`);
+        if (data.diagnostics) {
+            const d = data.diagnostics;
+            const flowing = d.gradNorm.actor > 0 && d.gradNorm.critic > 0;
+            console.log(`  Approx KL:   ${d.approxKL.toExponential(3)}`);
+            console.log(`  Epochs:      ${d.epochs}${d.stoppedEarly ? ' (stopped early at TARGET_KL)' : ''}${d.skipped ? ' (no minibatch trained)' : ''}`);
+            console.log(`  Clip Frac:   ${(d.clipFraction * 100).toFixed(1)}%`);
+            console.log(`  Expl. Var:   ${d.explainedVariance.toFixed(3)}`);
+            console.log(`  Gradients:   ${flowing ? '✓ flowing' : '✗ NOT flowing'} (|∇| actor ${d.gradNorm.actor.toExponential(3)}, critic ${d.gradNorm.critic.toExponential(3)})`);
+            console.log(`  Weight Δ:    actor ${d.paramChange.actor.toExponential(3)}, critic ${d.paramChange.critic.toExponential(3)}`);
+        }
+        
+        if (data.hyperparams) {
+            const h = data.hyperparams;
+            console.log(`  LR:          ${h.learningRate.toExponential(3)}`);
+            console.log(`  Clip ε:      ${h.clipEpsilon.toFixed(4)}`);
+            console.log(`  Entropy:     ${h.entropyCoef.toExponential(3)}`);
         }
         
         if (data.meanReward !== undefined) {
@@ -71,7 +84,8 @@ class DebugLogger {
         }
         
         if (data.action) {
-            parts.push(`OUT:[steer:${data.action[0]?.toFixed(3)} thr:${data.action[1]?.toFixed(3)}]`);
+            const names = ['steer', 'thr', 'brk'];
+            parts.push(`OUT:[${data.action.map((a, i) => `${names[i]}:${a.toFixed(3)}`).join(' ')}]`);
         }
         
         if (data.reward !== undefined) {
@@ -118,7 +132,9 @@ class DebugLogger {
 
 export const debugLogger = new DebugLogger();
 
-// Expose to window for console access
-window.debugLogger = debugLogger;
-window.logSummary = () => console.table(debugLogger.getSummary());
+// Expose to window for console access (absent when imported from Node)
+if (typeof window !== 'undefined') {
+    window.debugLogger = debugLogger;
+    window.logSummary = () => console.table(debugLogger.getSummary());
+}
 
@@ -0,0 +1,54 @@
+// Browser persistence for experiment runs (IndexedDB), plus CSV/JSON export and import
+// Run records themselves are built in experiments.js
+
+import { idbPut, idbGet, idbKeys, idbDelete } from './idb.js';
+import { downloadJSON, downloadText, readJSONFile } from './file-io.js';
+import { runsToCSV } from './experiments.js';
+
+const STORE = 'experiments';
+
+export async function saveRun(run) {
+    await idbPut(STORE, run.id, run);
+}
+
+/**
+ * @returns {Promise<Object[]>} All stored runs, oldest first
+ */
+export async function listRuns() {
+    const ids = await idbKeys(STORE);
+    const runs = await Promise.all(ids.map(id => idbGet(STORE, id)));
+    return runs.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+export async function deleteRun(id) {
+    await idbDelete(STORE, id);
+}
+
+export function exportRunsJSON(runs, filename = 'experiments.json') {
+    downloadJSON(runs, filename);
+}
+
+export function exportRunsCSV(runs, filename = 'experiments.csv') {
+    downloadText(runsToCSV(runs), filename, 'text/csv');
+}
+
+/**
+ * Read runs from an exported JSON file (a single run or an array) and store them
+ * @param {File} file
+ * @returns {Promise<Object[]>} The imported runs
+ * @throws {Error} If the file does not contain runs
+ */
+export async function importRunsFile(file) {
+    const data = await readJSONFile(file);
+    const runs = Array.isArray(data) ? data : [data];
+    for (const run of runs) {
+        if (!run?.id || !run.config || !Array.isArray(run.metrics)) {
+            throw new Error(`${file.name} does not contain experiment runs`);
+        }
+    }
+    
+    for (const run of runs) {
+        await saveRun(run);
+    }
+    return runs;
+}
@@ -0,0 +1,219 @@
+// Experiment comparison view - overlay metric curves of stored runs, export them, diff their configs
+
+import { listRuns, deleteRun, exportRunsCSV, exportRunsJSON, importRunsFile } from './experiment-store.js';
+import { flatten, diffConfigs } from './experiments.js';
+import { drawComparisonChart } from './charts.js';
+
+const COLORS = ['#4ade80', '#60a5fa', '#f472b6', '#facc15', '#a78bfa', '#fb923c', '#2dd4bf', '#f87171'];
+
+const METRICS = [
+    { key: 'avgReward', label: 'Avg episode reward' },
+    { key: 'lapRate', label: 'Lap rate' },
+    { key: 'avgMCReturn', label: 'Avg MC return' },
+    { key: 'loss.policy', label: 'Policy loss' },
+    { key: 'loss.value', label: 'Value loss' },
+    { key: 'loss.entropy', label: 'Entropy' },
+    { key: 'logStd', label: 'Log std' },
+    { key: 'hyperparams.learningRate', label: 'Learning rate' },
+    { key: 'hyperparams.clipEpsilon', label: 'Clip ε' },
+    { key: 'hyperparams.entropyCoef', label: 'Entropy coef' },
+    { key: 'diagnostics.approxKL', label: 'Approx KL' },
+    { key: 'diagnostics.clipFraction', label: 'Clip fraction' },
+    { key: 'diagnostics.epochs', label: 'Epochs run' },
+    { key: 'diagnostics.explainedVariance', label: 'Explained variance' },
+    { key: 'diagnostics.gradNorm.actor', label: 'Actor grad norm' },
+    { key: 'diagnostics.gradNorm.critic', label: 'Critic grad norm' },
+    { key: 'diagnostics.paramChange.actor', label: 'Actor param change' },
+    { key: 'diagnostics.paramChange.critic', label: 'Critic param change' },
+];
+
+const X_AXES = [
+    { key: 'totalSteps', label: 'Environment steps' },
+    { key: 'updateCount', label: 'PPO updates' },
+    { key: 'wallTime', label: 'Wall time (s)' },
+];
+
+export class ExperimentView {
+    #panel;
+    #elements;
+    #getCurrentRunId;
+    #runs = [];
+    #selected = new Set();  // Run ids
+    
+    /**
+     * @param {HTMLElement} panel - Panel with #experiments-list, -chart, -metric, -x-axis, -diff
+     * @param {Object} options - { getCurrentRunId() } to label the run in progress
+     */
+    constructor(panel, { getCurrentRunId } = {}) {
+        this.#panel = panel;
+        this.#getCurrentRunId = getCurrentRunId;
+        this.#elements = {
+            list: panel.querySelector('#experiments-list'),
+            chart: panel.querySelector('#experiments-chart'),
+            metric: panel.querySelector('#experiments-metric'),
+            xAxis: panel.querySelector('#experiments-x-axis'),
+            diff: panel.querySelector('#experiments-diff'),
+        };
+        
+        for (const [select, options] of [[this.#elements.metric, METRICS], [this.#elements.xAxis, X_AXES]]) {
+            select.innerHTML = options.map(o => `<option value="${o.key}">${o.label}</option>`).join('');
+            select.addEventListener('change', () => this.#drawChart());
+        }
+    }
+    
+    get isOpen() {
+        return !this.#panel.classList.contains('hidden');
+    }
+    
+    async toggle() {
+        if (this.isOpen) {
+            this.#panel.classList.add('hidden');
+            return;
+        }
+        this.#panel.classList.remove('hidden');
+        await this.reload();
+    }
+    
+    // Re-read runs from IndexedDB (the current run is saved after every update)
+    async reload() {
+        this.#runs = await listRuns();
+        const ids = new Set(this.#runs.map(run => run.id));
+        this.#selected = new Set([...this.#selected].filter(id => ids.has(id)));
+        
+        // Start by comparing against the current run
+        const currentId = this.#getCurrentRunId?.();
+        if (this.#selected.size === 0 && ids.has(currentId)) {
+            this.#selected.add(currentId);
+        }
+        this.#render();
+    }
+    
+    exportCSV() {
+        exportRunsCSV(this.#selectedRuns());
+    }
+    
+    exportJSON() {
+        exportRunsJSON(this.#selectedRuns());
+    }
+    
+    async importFile(file) {
+        if (!file) return;
+        const runs = await importRunsFile(file);
+        runs.forEach(run => this.#selected.add(run.id));
+        await this.reload();
+    }
+    
+    async deleteSelected() {
+        const runs = this.#selectedRuns().filter(run => run.id !== this.#getCurrentRunId?.());
+        if (runs.length === 0 || !confirm(`Delete ${runs.length} run(s)? The run in progress is kept.`)) return;
+        
+        for (const run of runs) {
+            await deleteRun(run.id);
+        }
+        await this.reload();
+    }
+    
+    // === Private ===
+    
+    #selectedRuns() {
+        return this.#runs.filter(run => this.#selected.has(run.id));
+    }
+    
+    #color(run) {
+        return COLORS[this.#runs.indexOf(run) % COLORS.length];
+    }
+    
+    #render() {
+        const currentId = this.#getCurrentRunId?.();
+        this.#elements.list.replaceChildren(...this.#runs.map(run => {
+            const row = document.createElement('label');
+            row.className = 'experiment-row';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.#selected.has(run.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.#selected.add(run.id);
+                else this.#selected.delete(run.id);
+                this.#drawChart();
+                this.#renderDiff();
+            });
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'experiment-swatch';
+            swatch.style.background = this.#color(run);
+            
+            const best = Math.max(...run.metrics.map(m => m.avgReward));
+            const text = document.createElement('span');
+            text.textContent = `${run.name}${run.id === currentId ? ' (current)' : ''} - ` +
+                `${run.metrics.length} updates` +
+                (run.metrics.length > 0 ? `, best avg ${best.toFixed(1)}` : '');
+            
+            row.append(checkbox, swatch, text);
+            return row;
+        }));
+        
+        if (this.#runs.length === 0) {
+            this.#elements.list.textContent = 'No runs recorded yet.';
+        }
+        
+        this.#drawChart();
+        this.#renderDiff();
+    }
+    
+    #drawChart() {
+        const canvas = this.#elements.chart;
+        const metric = METRICS.find(m => m.key === this.#elements.metric.value);
+        const xAxis = X_AXES.find(x => x.key === this.#elements.xAxis.value);
+        
+        const series = this.#selectedRuns().map(run => ({
+            label: run.name,
+            color: this.#color(run),
+            points: run.metrics.map(row => {
+                const flat = flatten(row);
+                const y = flat[metric.key];
+                return { x: flat[xAxis.key], y: Array.isArray(y) ? y[0] : y };
+            }),
+        }));
+        
+        drawComparisonChart(canvas.getContext('2d'), canvas.width, canvas.height, series, {
+            xLabel: xAxis.label,
+            yLabel: metric.label,
+        });
+    }
+    
+    #renderDiff() {
+        const runs = this.#selectedRuns();
+        const diffEl = this.#elements.diff;
+        
+        if (runs.length !== 2) {
+            diffEl.textContent = 'Select exactly two runs to diff their configs.';
+            return;
+        }
+        
+        const [a, b] = runs;
+        const changes = diffConfigs(a.config, b.config);
+        if (changes.length === 0) {
+            diffEl.textContent = 'Configs are identical.';
+            return;
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'experiment-diff';
+        const format = value => value === undefined ? '—' : JSON.stringify(value);
+        const header = table.insertRow();
+        for (const [label, color] of [['Setting', null], [a.name, this.#color(a)], [b.name, this.#color(b)]]) {
+            const th = document.createElement('th');
+            th.textContent = label;
+            if (color) th.style.color = color;
+            header.appendChild(th);
+        }
+        for (const { path, a: valueA, b: valueB } of changes) {
+            const row = table.insertRow();
+            row.insertCell().textContent = path;
+            row.insertCell().textContent = format(valueA);
+            row.insertCell().textContent = format(valueB);
+        }
+        diffEl.replaceChildren(table);
+    }
+}
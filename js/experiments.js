@@ -0,0 +1,103 @@
+// Experiment records - one run = full CONFIG snapshot + one metrics row per PPO update
+// Plain data and functions (no DOM), shared by the browser store and the headless runner
+
+import { CONFIG } from './config.js';
+import { advanceCurriculum } from './curriculum.js';
+import { average } from './utils.js';
+
+/**
+ * Start a new run record
+ * @param {Object} [info] - { name, seed, track } shown in the comparison view
+ * @returns {Object} { id, name, startedAt, seed, track, config, metrics: [] }
+ */
+export function createRun({ name, seed = CONFIG.SEED, track = null } = {}) {
+    const startedAt = new Date();
+    return {
+        id: `run-${startedAt.getTime()}`,
+        name: name ?? `${startedAt.toLocaleString()} (seed ${seed})`,
+        startedAt: startedAt.toISOString(),
+        seed,
+        track,
+        config: structuredClone(CONFIG),
+        metrics: [],
+    };
+}
+
+/**
+ * Stats for one PPO update, then advance the curriculum (call right after runPPOUpdate)
+ * The row is taken first: lapRate and curriculumStage describe the episodes the update trained on,
+ * and stageChange names the stage entered afterwards (null if none)
+ * @param {Object} state - Training state (mutated by advanceCurriculum)
+ * @param {Object} result - { stats, avgReward, trackName } from runPPOUpdate
+ * @param {number} wallTime - Seconds since the run started
+ * @returns {Object} Metrics row
+ */
+export function metricsRow(state, { stats, avgReward, trackName }, wallTime) {
+    const row = {
+        updateCount: stats.updateCount,
+        totalSteps: state.totalSteps,
+        wallTime,
+        avgReward,
+        lapRate: average(state.recentLaps),
+        bestEpisodeReward: state.bestEpisodeReward,
+        avgMCReturn: stats.avgMCReturn,
+        meanStepReward: stats.meanReward,
+        episodes: stats.episodes,
+        truncatedSegments: stats.truncated,
+        loss: { ...stats.loss },
+        diagnostics: structuredClone(stats.diagnostics),
+        hyperparams: { ...stats.hyperparams },
+        logStd: state.agent.getLogStd(),
+        track: trackName,
+        curriculumStage: state.curriculum?.stage ?? null,
+    };
+    row.stageChange = advanceCurriculum(state)?.name ?? null;
+    return row;
+}
+
+// Flatten nested objects to dotted keys ({ loss: { value: 1 } } → { 'loss.value': 1 }); arrays stay values
+export function flatten(obj, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(obj)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, path, out);
+        } else {
+            out[path] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * One CSV row per (run, update), columns = union of all metric keys
+ * @param {Object[]} runs
+ * @returns {string}
+ */
+export function runsToCSV(runs) {
+    const rows = runs.flatMap(run => run.metrics.map(m => ({ run: run.id, name: run.name, ...flatten(m) })));
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    
+    const cell = value => {
+        if (value === undefined || value === null) return '';
+        const text = Array.isArray(value) ? value.join(';') : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n');
+}
+
+/**
+ * Settings that differ between two runs
+ * @param {Object} configA
+ * @param {Object} configB
+ * @returns {{ path: string, a: *, b: * }[]} Sorted by path
+ */
+export function diffConfigs(configA, configB) {
+    const a = flatten(configA);
+    const b = flatten(configB);
+    const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+    
+    return paths
+        .filter(path => JSON.stringify(a[path]) !== JSON.stringify(b[path]))
+        .map(path => ({ path, a: a[path], b: b[path] }));
+}
@@ -0,0 +1,43 @@
+// JSON/text file download/upload helpers for the browser UI
+
+/**
+ * Trigger a browser download of data as a JSON file
+ * @param {*} data - Anything JSON.stringify accepts
+ * @param {string} filename
+ * @param {number} [indent] - Pretty-print indentation (omit for compact output)
+ */
+export function downloadJSON(data, filename, indent) {
+    downloadText(JSON.stringify(data, null, indent), filename, 'application/json');
+}
+
+/**
+ * Trigger a browser download of a text file
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} [type] - MIME type
+ */
+export function downloadText(text, filename, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read and parse a user-selected JSON file
+ * @param {File} file
+ * @returns {Promise<*>}
+ * @throws {Error} If the file is not valid JSON
+ */
+export async function readJSONFile(file) {
+    try {
+        return JSON.parse(await file.text());
+    } catch (err) {
+        throw new Error(`${file.name} is not valid JSON: ${err.message}`);
+    }
+}
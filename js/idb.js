@@ -0,0 +1,58 @@
+// Minimal promise wrapper around IndexedDB
+// One database for the app; each feature gets its own object store (out-of-line keys)
+
+const DB_NAME = 'krampuskart-ppo';
+const DB_VERSION = 2;
+const STORES = ['checkpoints', 'experiments'];
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const name of STORES) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+// Run a single request against a store and resolve with its result
+async function withStore(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export function idbPut(storeName, key, value) {
+    return withStore(storeName, 'readwrite', store => store.put(value, key));
+}
+
+export function idbGet(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+export function idbKeys(storeName) {
+    return withStore(storeName, 'readonly', store => store.getAllKeys());
+}
+
+export function idbDelete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
@@ -1,59 +1,44 @@
 import { CONFIG, MODULE_ID, LOAD_TIME } from './config.js';
-import { Track } from './track.js';
+import { DEFAULT_TRACK, createTrack } from './tracks.js';
+import { generateTrack } from './track-generator.js';
+import { seedRandom, getRandom } from './rng.js';
+import { SettingsPanel, loadSettings } from './settings-panel.js';
+import { createRun, metricsRow } from './experiments.js';
+import { saveRun } from './experiment-store.js';
+import { ExperimentView } from './experiment-view.js';
+import { TrackEditor } from './track-editor.js';
 import { PPOAgent } from './ppo/ppo-agent.js';
-import { computeReward } from './ppo/reward.js';
+import { WorkerLearner } from './ppo/learner.js';
+import { formatScheduledValues } from './ppo/schedules.js';
 import { updateUI } from './ui.js';
 import { debugLogger } from './debug-logger.js';
-import { drawRewardChart } from './charts.js';
+import { drawRewardChart, drawDiagnosticsChart } from './charts.js';
 import { drawNNVisualization, extractNetworkInfo } from './nn-visualizer.js';
-import { spawnCars, findLeader, resetFinishedCars, updateCamera } from './simulation.js';
-import { average, pushWithLimit } from './utils.js';
+import { spawnCars, findLeader, updateCamera, calculateStepsPerSecond } from './simulation.js';
+import { createTrainingStats, stepEnvironment, isRolloutComplete, runPPOUpdate, setTrack } from './training.js';
+import { startCurriculum, stopCurriculum, describeCurriculum } from './curriculum.js';
+import { average } from './utils.js';
+import {
+    saveCheckpoint, loadCheckpoint, listCheckpoints,
+    downloadCheckpoint, readCheckpointFile
+} from './checkpoint-store.js';
 
 console.log(`🚗 Krampus Kart PPO - Module ID: ${MODULE_ID} loaded at ${LOAD_TIME}`);
 
-// Track centerline definition
-const TRACK_CENTERLINE = [
-    { x: 200, y: -25 },
-    { x: 550, y: -25 },
-    { x: 875, y: -25 },
-    { x: 1150, y: 300 },
-    { x: 975, y: 650 },
-    { x: 1225, y: 775 },
-    { x: 1300, y: 1025 },
-    { x: 950, y: 1300 },
-    { x: 550, y: 1250 },
-    { x: 450, y: 1075 },
-    { x: 300, y: 1100 },
-    { x: 75, y: 1300 },
-    { x: -425, y: 1125 },
-    { x: -475, y: 625 },
-    { x: -150, y: 600 },
-    { x: -350, y: 400 },
-    { x: -50, y: 100 },
-];
-
 // Game state - cleaned up to only include what's actually used
 const state = {
     track: null,
+    trackData: DEFAULT_TRACK,  // { name, points, width } the current track was built from
     cars: [],
     agent: null,
+    learner: null,     // WorkerLearner training in the background (null = updates on the main thread)
+    updating: false,   // A PPO update is in flight (the cars drive on during a learner worker's)
+    paused: false,     // A main-thread update failed; stepping stops until Reset Training or a checkpoint load
     camera: { x: 0, y: 0 },
+    run: null,  // Experiment record for this run (see experiments.js)
     
-    // Training stats
-    totalSteps: 0,
-    updateCount: 0,
-    recentRewards: [],  // Rolling window of episode rewards (max 100)
-    bestEpisodeReward: -Infinity,
-    
-    // Reward history for charting
-    rewardHistory: [],
-    maxHistoryLen: 100,
-    
-    // Critic accuracy tracking
-    criticPredictions: [],  // V₀ predictions at episode start
-    actualReturns: [],      // Actual discounted returns
-    avgPrediction: 0,
-    avgActual: 0,
+    // Training stats (see createTrainingStats)
+    ...createTrainingStats(),
 };
 
 // Canvas setup
@@ -63,6 +48,20 @@ const nnCanvas = document.getElementById('nnCanvas');
 const nnCtx = nnCanvas.getContext('2d');
 const lossCanvas = document.getElementById('lossChart');
 const lossCtx = lossCanvas.getContext('2d');
+const diagnosticsCanvas = document.getElementById('diagnosticsChart');
+const diagnosticsCtx = diagnosticsCanvas.getContext('2d');
+
+// Track editor takes over the game canvas while open (training pauses)
+const trackEditor = new TrackEditor(canvas, { onApply: applyTrack });
+
+// Saved/linked settings must be in CONFIG before the agent is built
+for (const warning of loadSettings()) {
+    console.warn(`⚙️ Ignoring setting: ${warning}`);
+}
+const settingsPanel = new SettingsPanel(document.getElementById('settings-panel'), { onChange: applySetting });
+const experimentView = new ExperimentView(document.getElementById('experiments-panel'), {
+    getCurrentRunId: () => state.run?.id,
+});
 
 async function setup() {
     // Update build time in UI
@@ -76,8 +75,12 @@ async function setup() {
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
     
+    // Seed every random stream for this run
+    const seed = seedRandom(CONFIG.SEED);
+    console.log(`🎲 Random seed: ${seed}`);
+    
     // Initialize track
-    state.track = new Track(TRACK_CENTERLINE);
+    state.track = createTrack(state.trackData);
     
     // Initialize PPO agent
     state.agent = new PPOAgent();
@@ -91,59 +94,140 @@ async function setup() {
         longitudinalSpread: 200
     });
     
+    state.run = createRun({ seed, track: state.trackData.name });
+    if (startCurriculum(state)) {
+        console.log(`🎓 Curriculum stage ${describeCurriculum(state)}`);
+    }
+    
+    await startLearner();
+    
     requestAnimationFrame(loop);
+    if (CONFIG.SIM_SPEED === 'max') {
+        startMaxSpeed();
+    }
 }
 
+// Simulation speeds the Speed button cycles through (CONFIG.SIM_SPEED)
+const SIM_SPEEDS = [1, 2, 4, 8, 16, 'max'];
+const MAX_SLICE_MS = 25;  // 'max' speed: physics time between yields to the browser
+
+// Car steps since the last steps/s reading (see calculateStepsPerSecond)
+const stepTiming = { lastUpdateTime: performance.now(), totalSteps: 0 };
+let stepsPerSecond = 0;
+let frameCount = 0;
+
+// 'max' speed steps in slices between frames, each slice scheduling the next through a MessageChannel:
+// hidden tabs pause requestAnimationFrame and throttle timers, but not messages, so training goes on overnight
+const maxSpeedPump = new MessageChannel();
+maxSpeedPump.port1.onmessage = runMaxSpeedSlice;
+let maxSpeedRunning = false;
+
 function loop() {
-    // Clear
-    ctx.fillStyle = '#050a14';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (trackEditor.isOpen) {
+        trackEditor.draw(ctx);
+        requestAnimationFrame(loop);
+        return;
+    }
     
-    // PPO step for each car
-    for (const car of state.cars) {
-        if (!car.dead && !car.finished) {
-            ppoStep(car);
-        }
+    // Fixed speeds step here, SIM_SPEED times per frame; 'max' steps in runMaxSpeedSlice
+    if (CONFIG.SIM_SPEED !== 'max') {
+        simulate(CONFIG.SIM_SPEED);
     }
+    frameCount++;
     
     // Find leader for camera
     const { leader, aliveCount } = findLeader(state.cars);
     
-    // Reset dead/finished cars
-    resetFinishedCars(state.cars, state.track, (car) => {
-        // Flush episode to training buffer
-        for (const step of car.trajectory) {
-            state.agent.store(step.state, step.action, step.reward, step.value, step.logProb, step.done);
-        }
-        state.totalSteps += car.trajectory.length;
+    // Update camera
+    if (leader) {
+        updateCamera(state.camera, leader, CONFIG.CAMERA_SMOOTHING);
+    }
+    
+    // 'max' draws only every MAX_RENDER_EVERY frames (0 = never)
+    const renderEvery = CONFIG.SIM_SPEED === 'max' ? CONFIG.MAX_RENDER_EVERY : 1;
+    if (renderEvery > 0 && frameCount % renderEvery === 0) {
+        drawWorld(leader);
+        drawCharts();
+    } else if (renderEvery === 0) {
+        drawRenderingOff();
+    }
+    
+    updateHUD(leader, aliveCount);
+    
+    requestAnimationFrame(loop);
+}
+
+/**
+ * Advance every car by up to `steps` physics steps, starting a PPO update whenever a rollout completes
+ * (checked after every step, so fast speeds never run past the end of a rollout)
+ * @param {number} steps
+ * @returns {boolean} false if stepping stopped to wait for a main-thread update
+ */
+function simulate(steps) {
+    for (let i = 0; i < steps; i++) {
+        // Main-thread updates train on the buffer as it is when they start; learner workers take it at once
+        if (state.paused || (state.updating && !state.learner)) return false;
         
-        // Track critic accuracy
-        if (car.episodeLength > 0) {
-            pushWithLimit(state.criticPredictions, car.criticPrediction, 100);
-            pushWithLimit(state.actualReturns, car.episodeDiscountedReturn, 100);
-            state.avgPrediction = average(state.criticPredictions);
-            state.avgActual = average(state.actualReturns);
-        }
+        // PPO step for each car, then recycle finished episodes
+        stepEnvironment(state, step => {
+            stepTiming.totalSteps++;
+            debugLogger.logStep(step);
+        });
         
-        // Track episode reward
-        pushWithLimit(state.recentRewards, car.episodeReward, 100);
-        if (car.episodeReward > state.bestEpisodeReward) {
-            state.bestEpisodeReward = car.episodeReward;
+        if (isRolloutComplete(state) && !state.updating) {
+            performPPOUpdate();
         }
-    });
+    }
+    return true;
+}
+
+function startMaxSpeed() {
+    if (maxSpeedRunning) return;
+    maxSpeedRunning = true;
+    maxSpeedPump.port2.postMessage(null);
+}
+
+function runMaxSpeedSlice() {
+    // Stops when the speed changes; startMaxSpeed() starts it again
+    if (CONFIG.SIM_SPEED !== 'max') {
+        maxSpeedRunning = false;
+        return;
+    }
     
-    // Record critic prediction for newly spawned cars
-    for (const car of state.cars) {
-        if (car.episodeLength === 0 && !car.dead && !car.finished) {
-            const startState = car.getStateVector(state.track);
-            car.criticPrediction = state.agent.getValue(startState);
-        }
+    // Nothing to step while the editor is open or a main-thread update is pending; check back later
+    if (trackEditor.isOpen || state.paused || (state.updating && !state.learner)) {
+        setTimeout(runMaxSpeedSlice, 100);
+        return;
     }
     
-    // Update camera
-    if (leader) {
-        updateCamera(state.camera, leader, CONFIG.CAMERA_SMOOTHING);
+    const sliceEnd = performance.now() + MAX_SLICE_MS;
+    while (performance.now() < sliceEnd && simulate(1)) {
+        // Keep stepping
+    }
+    maxSpeedPump.port2.postMessage(null);
+}
+
+function setSimSpeed(speed) {
+    CONFIG.SIM_SPEED = speed;
+    if (speed === 'max') {
+        startMaxSpeed();
     }
+    console.log(`⏩ Simulation speed: ${formatSimSpeed(speed)}`);
+}
+
+function cycleSimSpeed() {
+    const index = SIM_SPEEDS.indexOf(CONFIG.SIM_SPEED);
+    setSimSpeed(SIM_SPEEDS[(index + 1) % SIM_SPEEDS.length]);
+}
+
+function formatSimSpeed(speed) {
+    return speed === 'max' ? 'max' : `${speed}x`;
+}
+
+function drawWorld(leader) {
+    // Clear
+    ctx.fillStyle = '#050a14';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
     
     // Draw world
     ctx.save();
@@ -170,29 +254,41 @@ function loop() {
     }
     
     ctx.restore();
-    
-    // Draw charts
+}
+
+// 'max' speed with MAX_RENDER_EVERY 0: a note instead of the last frame
+function drawRenderingOff() {
+    ctx.fillStyle = '#050a14';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#666';
+    ctx.font = '16px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('⏩ Max speed - drawing off (CONFIG.MAX_RENDER_EVERY = 0)', canvas.width / 2, canvas.height / 2);
+}
+
+function drawCharts() {
     const networkInfo = extractNetworkInfo(state.agent.model);
     drawNNVisualization(nnCtx, nnCanvas.width, nnCanvas.height, networkInfo);
-    drawRewardChart(lossCtx, lossCanvas.width, lossCanvas.height, state.rewardHistory);
-    
-    // Check for PPO update
-    if (state.agent.shouldUpdate()) {
-        performPPOUpdate();
-    }
-    
-    // Update UI
+    drawRewardChart(lossCtx, lossCanvas.width, lossCanvas.height, state.rewardHistory, getStageMarkers());
+    drawDiagnosticsChart(diagnosticsCtx, diagnosticsCanvas.width, diagnosticsCanvas.height, state.diagnosticsHistory);
+}
+
+function updateHUD(leader, aliveCount) {
     const avgReward = average(state.recentRewards);
     const agentStats = state.agent.getStats();
     
-    // Exploration level as percentage
-    const logStd = agentStats.logStd[0] || -1;
-    const noisePercent = Math.round(Math.exp(logStd) * 100);
+    // Measured car steps per second (refreshed twice a second)
+    stepsPerSecond = calculateStepsPerSecond(stepTiming, performance.now()) ?? stepsPerSecond;
+    
+    // Exploration level as percentage: policy std averaged over action dimensions (and the fleet, if state-dependent)
+    const noisePercent = Math.round(average(agentStats.std) * 100);
     
     // Status message
     const statusMessage = state.agent.isUpdating 
         ? '🧠 Learning from experience...'
-        : `🚗 Collecting: ${agentStats.episodeCount}/${agentStats.minEpisodes} episodes`;
+        : CONFIG.PPO.ROLLOUT_MODE === 'steps'
+            ? `🚗 Collecting: ${state.rolloutSteps}/${CONFIG.PPO.ROLLOUT_STEPS} steps per car`
+            : `🚗 Collecting: ${agentStats.episodeCount}/${agentStats.minEpisodes} episodes`;
     
     // Actor stats: policy loss and exploration
     const policyLoss = agentStats.lastLoss?.policy;
@@ -219,73 +315,88 @@ function loop() {
         criticStats,
         avgReward: avgReward,
         leaderProgress: leader ? leader.getDisplayProgress() : 0,
-    });
-    
-    requestAnimationFrame(loop);
-}
-
-function ppoStep(car) {
-    const stateVec = car.getStateVector(state.track);
-    const wasInitialized = car.progressInitialized;
-    const prevTotalProgress = car.totalProgress;
-    
-    // Get action from agent
-    const { action, value, logProb } = state.agent.act(stateVec);
-    
-    // Apply action and update
-    car.applyAction(action);
-    car.update(state.track, state.cars);
-    
-    // Compute reward
-    const effectivePrevProgress = wasInitialized ? prevTotalProgress : car.totalProgress;
-    const reward = computeReward(car, effectivePrevProgress);
-    car.episodeReward += reward;
-    
-    // Track discounted return for critic accuracy
-    const discount = Math.pow(CONFIG.PPO.GAMMA, car.episodeLength);
-    car.episodeDiscountedReturn += discount * reward;
-    
-    // Store in trajectory
-    const done = car.dead || car.finished;
-    car.trajectory.push({ state: stateVec, action, reward, value, logProb, done });
-    
-    // Debug logging
-    debugLogger.logStep({
-        state: stateVec,
-        action,
-        reward,
-        value,
-        progress: car.totalProgress,
-        dead: car.dead,
+        lapRate: average(state.recentLaps),
+        curriculumStage: describeCurriculum(state),
+        hyperparams: formatScheduledValues(agentStats.hyperparams),
+        simSpeed: formatSimSpeed(CONFIG.SIM_SPEED),
+        stepsPerSecond,
     });
 }
 
 async function performPPOUpdate() {
-    // Show training indicator and give browser a frame to render it
+    state.updating = true;
     showTrainingIndicator(true);
-    await new Promise(r => setTimeout(r, 50));  // Let browser repaint
     
-    const lastValues = state.cars.map(car => {
-        if (car.dead || car.finished) return 0;
-        return state.agent.getValue(car.getStateVector(state.track));
-    });
-    
-    const stats = await state.agent.update(lastValues);
-    state.updateCount = stats.updateCount;
-    
-    // Track average reward for chart
-    const avgReward = average(state.recentRewards);
-    pushWithLimit(state.rewardHistory, avgReward, state.maxHistoryLen);
+    const agent = state.agent;
+    let result;
+    try {
+        // On the main thread, give the browser a frame to render the indicator before training blocks it
+        if (!state.learner) {
+            await new Promise(r => setTimeout(r, 50));
+        }
+        result = await runPPOUpdate(state);
+    } catch (err) {
+        // A restart or checkpoint load replaced the agent (and stopped its learner) mid-update
+        if (state.agent !== agent) return;
+        handleUpdateError(err);
+        return;
+    } finally {
+        state.updating = false;
+        showTrainingIndicator(false);
+    }
+    const { stats, avgReward, newTrack } = result;
+    const row = recordMetrics(result);  // Also advances the curriculum
     
-    console.log(`📊 PPO Update #${stats.updateCount} - Avg reward: ${avgReward.toFixed(1)}`);
+    console.log(`📊 PPO Update #${stats.updateCount} - Avg reward: ${avgReward.toFixed(1)} | ${formatScheduledValues(stats.hyperparams)}`);
+    if (stats.diagnostics.stoppedEarly) {
+        console.log(`🛑 Approx KL passed TARGET_KL ${CONFIG.PPO.TARGET_KL} - stopped after ${stats.diagnostics.epochs}/${CONFIG.PPO.EPOCHS_PER_UPDATE} epochs`);
+    }
+    if (stats.diagnostics.skipped) {
+        console.warn(`⚠️ No minibatch trained - fewer than half a batch (BATCH_SIZE ${CONFIG.PPO.BATCH_SIZE}) of steps collected`);
+    }
+    if (newTrack) {
+        console.log(`🎲 New random track "${newTrack.name}"`);
+    }
+    if (row.stageChange) {
+        console.log(`🎓 Curriculum stage ${describeCurriculum(state)}`);
+    }
     
     debugLogger.logUpdate({
         updateCount: stats.updateCount,
         loss: stats.loss,
+        diagnostics: stats.diagnostics,
+        hyperparams: stats.hyperparams,
+        meanReward: stats.meanReward,
     });
-    
-    // Hide training indicator
-    showTrainingIndicator(false);
+}
+
+// A failed update must not be retried on the next step (the rollout is still complete), so:
+// a learner worker failure drops the worker and later updates run on the main thread (that rollout is lost,
+// the worker had it); a main-thread failure pauses training until Reset Training or a checkpoint load
+function handleUpdateError(err) {
+    console.error(err);
+    if (state.learner) {
+        state.learner.terminate();
+        state.learner = null;
+        alert(`PPO update failed in the learner worker, training on the main thread from now on: ${err.message}`);
+    } else {
+        state.paused = true;
+        alert(`PPO update failed, training paused (Reset Training or load a checkpoint): ${err.message}`);
+    }
+}
+
+// (Re)start the learner worker from the current agent; without one, updates run on the main thread
+async function startLearner() {
+    state.learner?.terminate();
+    state.learner = null;
+    if (!CONFIG.WORKER_TRAINING) return;
+    
+    try {
+        state.learner = await WorkerLearner.start(state.agent, state.run.seed);
+        console.log('🧵 PPO updates run in a Web Worker');
+    } catch (err) {
+        console.warn('⚠️ No learner worker, training on the main thread:', err.message);
+    }
 }
 
 function showTrainingIndicator(show) {
@@ -295,37 +406,167 @@ function showTrainingIndicator(show) {
     if (box) box.classList.toggle('training', show);
 }
 
+// Append this update to the experiment run and persist it (the store keeps every update, not just the last 100)
+function recordMetrics(result) {
+    const wallTime = (Date.now() - Date.parse(state.run.startedAt)) / 1000;
+    const row = metricsRow(state, result, wallTime);
+    state.run.metrics.push(row);
+    saveRun(state.run).catch(err => console.warn('⚠️ Could not save experiment run:', err));
+    return row;
+}
+
+// Curriculum stage changes as positions in the reward chart's window
+function getStageMarkers() {
+    const latest = state.rewardHistory.length - 1;
+    return state.stageHistory
+        .map(change => ({
+            index: latest - (state.updateCount - change.updateCount),
+            label: `S${change.stage + 1}`,
+        }))
+        .filter(marker => marker.index >= 0);
+}
+
 async function restartFromScratch() {
     console.log('🔄 Resetting training...');
     
+    state.learner?.terminate();
     if (state.agent) {
         state.agent.dispose();
     }
     
+    const seed = seedRandom(CONFIG.SEED);
+    console.log(`🎲 Random seed: ${seed}`);
     state.agent = new PPOAgent();
+    settingsPanel.markRebuilt();
     await state.agent.pretrain();
     
-    state.updateCount = 0;
-    state.recentRewards = [];
-    state.bestEpisodeReward = -Infinity;
-    state.rewardHistory = [];
-    state.criticPredictions = [];
-    state.actualReturns = [];
-    state.avgPrediction = 0;
-    state.avgActual = 0;
+    // Back to the base settings, then start the curriculum over as a new experiment run
+    stopCurriculum(state);
+    resetTrainingStats();
+    state.run = createRun({ seed, track: state.trackData.name });
+    startCurriculum(state);
+    await startLearner();
+    
+    console.log('✅ Training reset complete');
+}
+
+function resetTrainingStats() {
+    Object.assign(state, createTrainingStats());
+    state.paused = false;  // Fresh agent, so a failed update no longer blocks training
     
+    // In-flight trajectories belong to the previous policy
     for (const car of state.cars) {
         car.reset(state.track.getStartLine());
     }
+}
+
+// === Settings ===
+
+// Push live settings that CONFIG alone doesn't reach
+function applySetting(entry) {
+    // Scheduled settings are the schedules' base values, so re-evaluate them (pushes the learning rate)
+    if (['PPO.LEARNING_RATE', 'PPO.CLIP_EPSILON', 'PPO.ENTROPY_COEF'].includes(entry.path)) {
+        state.agent?.applySchedules();
+    }
+}
+
+// === Tracks ===
+
+// Switch training to new track data without reloading (agent keeps learning)
+function applyTrack(trackData) {
+    setTrack(state, trackData);
+    console.log(`🛣️ Switched to track "${trackData.name}" (${trackData.points.length} points, half-width ${trackData.width})`);
+}
+
+// Train on a freshly generated track (CONFIG.TRACK_GEN controls its difficulty)
+function randomTrack() {
+    const seed = getRandom('tracks').int(1e6);
+    applyTrack(generateTrack(seed));
+}
+
+function openTrackEditor() {
+    trackEditor.open(state.trackData);
+}
+
+// === Checkpoints ===
+
+// Swap in an agent rebuilt from a checkpoint
+async function installCheckpoint(checkpoint) {
+    if (state.agent?.isUpdating) {
+        throw new Error('Cannot load a checkpoint while a PPO update is running');
+    }
     
-    console.log('✅ Training reset complete');
+    const agent = await PPOAgent.fromCheckpoint(checkpoint);
+    const previous = state.agent;
+    state.agent = agent;
+    previous?.dispose();
+    
+    resetTrainingStats();
+    state.updateCount = agent.updateCount;
+    state.totalSteps = agent.totalSteps;
+    await startLearner();
+    
+    console.log(`📂 Loaded checkpoint from ${checkpoint.createdAt} (update #${agent.updateCount})`);
+}
+
+async function saveAgent() {
+    const name = prompt('Save checkpoint as:', `update-${state.updateCount}`);
+    if (!name) return;
+    
+    await saveCheckpoint(name, await state.agent.getCheckpoint());
+    console.log(`💾 Saved checkpoint "${name}"`);
+}
+
+async function loadAgent() {
+    const names = await listCheckpoints();
+    if (names.length === 0) {
+        alert('No saved checkpoints yet');
+        return;
+    }
+    
+    const name = prompt(`Load checkpoint:\n${names.join('\n')}`, names[names.length - 1]);
+    if (!name) return;
+    
+    await installCheckpoint(await loadCheckpoint(name));
+}
+
+async function exportAgent() {
+    downloadCheckpoint(await state.agent.getCheckpoint(), `krampuskart-update-${state.updateCount}.json`);
+}
+
+async function importAgent(file) {
+    if (!file) return;
+    await installCheckpoint(await readCheckpointFile(file));
+}
+
+// Surface checkpoint errors to the user instead of failing silently in a button handler
+function reportErrors(fn) {
+    return async (...args) => {
+        try {
+            await fn(...args);
+        } catch (err) {
+            console.error(err);
+            alert(err.message);
+        }
+    };
 }
 
 window.restartFromScratch = restartFromScratch;
+window.cycleSimSpeed = cycleSimSpeed;
+window.openTrackEditor = openTrackEditor;
+window.randomTrack = reportErrors(randomTrack);
+window.trackEditor = trackEditor;
+window.settingsPanel = settingsPanel;
+window.experimentView = experimentView;
+window.saveAgent = reportErrors(saveAgent);
+window.loadAgent = reportErrors(loadAgent);
+window.exportAgent = reportErrors(exportAgent);
+window.importAgent = reportErrors(importAgent);
 
 window.addEventListener('resize', () => {
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
+    if (trackEditor.isOpen) trackEditor.fitView();
 });
 
 window.addEventListener('load', setup);
@@ -1,6 +1,8 @@
 // Neural Network Visualization
 // Displays SEPARATE actor and critic networks with jet-colored weights
 
+import { ACTION_NAMES } from './car.js';
+
 /**
  * Jet colormap: maps value [0,1] to RGB
  * 0 = red, 0.5 = green, 1 = blue
@@ -33,27 +35,22 @@ function jetColor(t) {
 
 /**
  * Extract weights from a single network
+ * Only dense layers are drawn (LayerNorm scales and activations have no connections to show)
  */
 function extractWeightsFromModel(model) {
     const layers = [];
-    const weights = model.getWeights();
     
-    let weightIdx = 0;
     for (const layer of model.layers) {
-        if (layer.getWeights().length > 0) {
-            const kernel = weights[weightIdx];
-            const bias = weights[weightIdx + 1];
-            
-            layers.push({
-                name: layer.name,
-                weights: kernel.arraySync(),
-                biases: bias ? bias.arraySync() : null,
-                inputSize: kernel.shape[0],
-                outputSize: kernel.shape[1]
-            });
-            
-            weightIdx += 2;
-        }
+        if (layer.getClassName() !== 'Dense') continue;
+        
+        const [kernel, bias] = layer.getWeights();
+        layers.push({
+            name: layer.name,
+            weights: kernel.arraySync(),
+            biases: bias ? bias.arraySync() : null,
+            inputSize: kernel.shape[0],
+            outputSize: kernel.shape[1]
+        });
     }
     
     return layers;
@@ -61,16 +58,33 @@ function extractWeightsFromModel(model) {
 
 /**
  * Extract network info from SEPARATE actor and critic models
+ * A state-dependent log std head is drawn as extra output nodes after the action means
  */
 export function extractNetworkInfo(actorCritic) {
+    const actor = extractWeightsFromModel(actorCritic.actorModel);
+    const stdHeadIndex = actor.findIndex(layer => layer.name.startsWith('actor_logstd'));
+    
+    if (stdHeadIndex !== -1) {
+        const [stdHead] = actor.splice(stdHeadIndex, 1);
+        const meanHead = actor[actor.length - 1];
+        actor[actor.length - 1] = {
+            ...meanHead,
+            weights: meanHead.weights.map((row, i) => [...row, ...stdHead.weights[i]]),
+            biases: meanHead.biases && stdHead.biases ? [...meanHead.biases, ...stdHead.biases] : null,
+            outputSize: meanHead.outputSize + stdHead.outputSize
+        };
+    }
+    
     return {
-        actor: extractWeightsFromModel(actorCritic.actorModel),
-        critic: extractWeightsFromModel(actorCritic.criticModel)
+        actor,
+        critic: extractWeightsFromModel(actorCritic.criticModel),
+        stdOutputs: stdHeadIndex !== -1 ? actorCritic.actionDim : 0
     };
 }
 
 /**
  * Draw a single network (actor or critic)
+ * outputLabel is one label for the output column, or an array with one label per output node
  */
 function drawSingleNetwork(ctx, x, y, width, height, layers, title, titleColor, outputLabel) {
     if (!layers || layers.length === 0) return;
@@ -194,10 +208,20 @@ function drawSingleNetwork(ctx, x, y, width, height, layers, title, titleColor,
     for (let i = 0; i < allLayerNodes.length; i++) {
         const colX = x + padding.left + colSpacing * (i + 1.5);
         const isOutput = i === allLayerNodes.length - 1;
-        const label = isOutput ? outputLabel : `H${i + 1}(${layers[i].outputSize})`;
+        const columnLabel = Array.isArray(outputLabel) ? `Out(${layers[i].outputSize})` : outputLabel;
+        const label = isOutput ? columnLabel : `H${i + 1}(${layers[i].outputSize})`;
         ctx.fillStyle = isOutput ? titleColor : '#888';
         ctx.fillText(label, colX, y + height - 5);
     }
+    
+    // Per-node output labels, right of the output nodes
+    if (Array.isArray(outputLabel)) {
+        ctx.fillStyle = titleColor;
+        ctx.textAlign = 'left';
+        for (const node of allLayerNodes[allLayerNodes.length - 1]) {
+            ctx.fillText(outputLabel[node.index] ?? '', node.x + nodeRadius + 2, node.y + 2);
+        }
+    }
 }
 
 /**
@@ -219,9 +243,16 @@ export function drawNNVisualization(ctx, width, height, networkInfo) {
     
     const halfWidth = width / 2;
     
-    // Draw Actor network (left side)
+    // Draw Actor network (left side), naming each action output when there are several
+    // (and each log std output, "σ Steer" etc., when the std depends on the state)
+    const stdOutputs = networkInfo.stdOutputs ?? 0;
+    const actionCount = networkInfo.actor[networkInfo.actor.length - 1].outputSize - stdOutputs;
+    const actionNames = ACTION_NAMES.slice(0, actionCount).map(name => name[0].toUpperCase() + name.slice(1));
+    const actionLabels = actionCount === 1 && stdOutputs === 0
+        ? 'Steer'
+        : [...actionNames, ...actionNames.slice(0, stdOutputs).map(name => `σ ${name}`)];
     drawSingleNetwork(ctx, 0, 0, halfWidth - 2, height - 15, 
-        networkInfo.actor, 'ACTOR (Policy)', '#4ade80', 'Steer');
+        networkInfo.actor, 'ACTOR (Policy)', '#4ade80', actionLabels);
     
     // Draw Critic network (right side)
     drawSingleNetwork(ctx, halfWidth + 2, 0, halfWidth - 2, height - 15, 
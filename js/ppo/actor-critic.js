@@ -1,93 +1,197 @@
 // Actor-Critic Networks using TensorFlow.js
 // SEPARATE networks for actor (policy) and critic (value) - as recommended by PPO paper for continuous control
 
+import { CONFIG } from '../config.js';
+import { encodeTensor, decodeTensor } from './checkpoint.js';
+import { getDistribution } from './distributions.js';
+import { RecurrentCell } from './recurrent.js';
+import { getRandom, tfSeed } from '../rng.js';
+
 let modelCounter = 0;
 
+// Range of the log std (the global variable is clamped to it, the state-dependent head is squashed into it)
+export const LOG_STD_MIN = -3;
+export const LOG_STD_MAX = 1;
+const LOG_STD_INIT = (LOG_STD_MIN + LOG_STD_MAX) / 2;
+
+// Hidden-layer activations (all but GELU are TF.js built-ins; SiLU is TF.js's 'swish')
+export const ACTIVATIONS = ['gelu', 'tanh', 'relu', 'silu'];
+
+// Network spec the agents were built with before specs existed (gains only matter for orthogonal init)
+export const DEFAULT_NETWORK = { activation: 'gelu', layerNorm: false, init: 'he', gain: null, outputGain: null };
+
+// GELU activation layer (tanh approximation), registered so models using it can be saved and loaded
+class GELULayer extends tf.layers.Layer {
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            const cdf = tf.mul(0.5, tf.add(1, tf.tanh(
+                tf.mul(Math.sqrt(2 / Math.PI), tf.add(x, tf.mul(0.044715, tf.pow(x, 3))))
+            )));
+            return tf.mul(x, cdf);
+        });
+    }
+    static get className() { return 'GELULayer'; }
+}
+tf.serialization.registerClass(GELULayer);
+
+/**
+ * Network spec from a CONFIG.PPO.ACTOR_NETWORK / CRITIC_NETWORK section
+ * @param {Object} section - { HIDDEN_UNITS, ACTIVATION, LAYER_NORM, INIT, GAIN, OUTPUT_GAIN }
+ * @param {number[]} defaultHiddenUnits - Used when HIDDEN_UNITS is empty
+ * @returns {Object} { hiddenUnits, activation, layerNorm, init, gain, outputGain }
+ */
+export function networkSpec(section, defaultHiddenUnits) {
+    return {
+        hiddenUnits: [...(section.HIDDEN_UNITS.length > 0 ? section.HIDDEN_UNITS : defaultHiddenUnits)],
+        activation: section.ACTIVATION,
+        layerNorm: section.LAYER_NORM,
+        init: section.INIT,
+        gain: section.GAIN,
+        outputGain: section.OUTPUT_GAIN,
+    };
+}
+
 export class ActorCritic {
-    constructor(inputDim, actionDim, hiddenUnits = [64, 64]) {
+    // options.actor / options.critic: network specs (see networkSpec; default: DEFAULT_NETWORK with hiddenUnits)
+    // options.sharedTrunk: both heads on one trunk built from the actor spec (the critic spec only sets its head's init)
+    // options.distribution: see distributions.js
+    // options.stateDependentStd: the actor outputs a log std per state instead of one learned variable
+    // options.recurrent: { type: 'gru' | 'lstm', units } puts a recurrent cell in front of each network
+    //   (one shared cell with sharedTrunk); the networks then see [state, cell output]
+    constructor(inputDim, actionDim, hiddenUnits = [64, 64], {
+        actor = {},
+        critic = {},
+        sharedTrunk = false,
+        distribution = 'clipped',
+        stateDependentStd = false,
+        recurrent = { type: 'none', units: 0 },
+    } = {}) {
         this.inputDim = inputDim;
         this.actionDim = actionDim;
         this.hiddenUnits = hiddenUnits;
+        this.actorSpec = { ...DEFAULT_NETWORK, hiddenUnits, ...actor };
+        this.criticSpec = { ...DEFAULT_NETWORK, hiddenUnits, ...critic };
+        this.sharedTrunk = sharedTrunk;
+        this.distribution = getDistribution(distribution);
+        this.stateDependentStd = stateDependentStd;
         this.modelId = modelCounter++;
         
-        // Build SEPARATE actor and critic networks (no shared backbone)
-        this._buildActorNetwork();
-        this._buildCriticNetwork();
+        // Recurrent cells, stepped per car while driving (memory the single-snapshot state lacks)
+        this.actorCell = null;
+        this.criticCell = null;
+        this.featureDim = inputDim;
+        if (recurrent.type !== 'none') {
+            this.actorCell = new RecurrentCell(recurrent.type, inputDim, recurrent.units, `actor_${recurrent.type}_${this.modelId}`);
+            this.criticCell = sharedTrunk
+                ? this.actorCell
+                : new RecurrentCell(recurrent.type, inputDim, recurrent.units, `critic_${recurrent.type}_${this.modelId}`);
+            this.featureDim = inputDim + recurrent.units;
+        }
+        
+        // Build SEPARATE actor and critic networks (no shared backbone), unless asked for a shared trunk
+        if (sharedTrunk) {
+            const input = tf.input({ shape: [this.featureDim] });
+            const trunk = this._hiddenLayers(input, this.actorSpec, 'trunk');
+            this._buildActorNetwork(input, trunk);
+            this._buildCriticNetwork(input, trunk);
+        } else {
+            this._buildActorNetwork();
+            this._buildCriticNetwork();
+        }
+        
+        // Learnable log standard deviation for actor (the spread of whichever distribution is in use)
+        // With a state-dependent head it is part of the actor network instead
+        this.logStd = stateDependentStd
+            ? null
+            : tf.variable(tf.fill([actionDim], LOG_STD_INIT), true, `logStd_${this.modelId}`);
         
-        // Learnable log standard deviation for actor
-        this.logStd = tf.variable(tf.fill([actionDim], -1.0), true, `logStd_${this.modelId}`);
+        // Fleet averages of the log std and std over the last actBatch (what the head currently outputs)
+        this.lastLogStd = new Array(actionDim).fill(LOG_STD_INIT);
+        this.lastStd = this.lastLogStd.map(Math.exp);
     }
     
-    // GELU activation layer
-    _gelu(x, name) {
-        class GELULayer extends tf.layers.Layer {
-            constructor(config) {
-                super(config);
-            }
-            call(inputs) {
-                return tf.tidy(() => {
-                    const x = Array.isArray(inputs) ? inputs[0] : inputs;
-                    const cdf = tf.mul(0.5, tf.add(1, tf.tanh(
-                        tf.mul(Math.sqrt(2 / Math.PI), tf.add(x, tf.mul(0.044715, tf.pow(x, 3))))
-                    )));
-                    return tf.mul(x, cdf);
-                });
-            }
-            static get className() { return 'GELULayer'; }
+    // Dense → [LayerNorm] → activation for each hidden layer of the spec
+    _hiddenLayers(input, spec, prefix) {
+        if (!ACTIVATIONS.includes(spec.activation)) {
+            throw new Error(`Unknown activation "${spec.activation}" (expected one of ${ACTIVATIONS.join(', ')})`);
         }
-        return new GELULayer({ name }).apply(x);
-    }
-    
-    _buildActorNetwork() {
-        const input = tf.input({ shape: [this.inputDim] });
         
-        // Actor's own hidden layers
         let x = input;
-        for (let i = 0; i < this.hiddenUnits.length; i++) {
+        for (let i = 0; i < spec.hiddenUnits.length; i++) {
+            const gain = Array.isArray(spec.gain) ? spec.gain[i] ?? spec.gain[spec.gain.length - 1] : spec.gain;
             x = tf.layers.dense({ 
-                units: this.hiddenUnits[i], 
+                units: spec.hiddenUnits[i], 
                 activation: 'linear',
-                kernelInitializer: 'heNormal',
-                name: `actor_dense${i + 1}_${this.modelId}`
+                kernelInitializer: this._initializer(spec, gain, () => tf.initializers.heNormal({ seed: tfSeed('init') })),
+                name: `${prefix}_dense${i + 1}_${this.modelId}`
             }).apply(x);
-            x = this._gelu(x, `actor_gelu${i + 1}_${this.modelId}`);
+            
+            if (spec.layerNorm) {
+                x = tf.layers.layerNormalization({ name: `${prefix}_norm${i + 1}_${this.modelId}` }).apply(x);
+            }
+            
+            const name = `${prefix}_${spec.activation}${i + 1}_${this.modelId}`;
+            x = spec.activation === 'gelu'
+                ? new GELULayer({ name }).apply(x)
+                : tf.layers.activation({ activation: spec.activation === 'silu' ? 'swish' : spec.activation, name }).apply(x);
         }
+        return x;
+    }
+    
+    // Kernel initializer: orthogonal with the given gain, or the spec's 'he' default
+    _initializer(spec, gain, heDefault) {
+        switch (spec.init) {
+            case 'he':
+                return heDefault();
+            case 'orthogonal':
+                return tf.initializers.orthogonal({ gain, seed: tfSeed('init') });
+            default:
+                throw new Error(`Unknown init "${spec.init}" (expected "he" or "orthogonal")`);
+        }
+    }
+    
+    _buildActorNetwork(input = tf.input({ shape: [this.featureDim] }), trunk = null) {
+        // Actor's own hidden layers
+        const x = trunk ?? this._hiddenLayers(input, this.actorSpec, 'actor');
         
-        // Actor output - mean of Gaussian policy
+        // Actor output - location of the action distribution (Gaussian mean, pre-tanh mean or Beta mode)
         const actorMean = tf.layers.dense({ 
             units: this.actionDim, 
-            activation: 'tanh',
-            kernelInitializer: tf.initializers.randomUniform({ minval: -0.03, maxval: 0.03 }),
+            activation: this.distribution.head,
+            kernelInitializer: this._initializer(this.actorSpec, this.actorSpec.outputGain,
+                () => tf.initializers.randomUniform({ minval: -0.03, maxval: 0.03, seed: tfSeed('init') })),
             name: `actor_out_${this.modelId}`
         }).apply(x);
         
+        // Optional log std head next to the mean; tanh keeps it inside [LOG_STD_MIN, LOG_STD_MAX] (see policy())
+        const outputs = [actorMean];
+        if (this.stateDependentStd) {
+            outputs.push(tf.layers.dense({
+                units: this.actionDim,
+                activation: 'tanh',
+                kernelInitializer: tf.initializers.randomUniform({ minval: -0.03, maxval: 0.03, seed: tfSeed('init') }),
+                name: `actor_logstd_${this.modelId}`
+            }).apply(x));
+        }
+        
         this.actorModel = tf.model({ 
             inputs: input, 
-            outputs: actorMean,
+            outputs,
             name: `actor_${this.modelId}`
         });
     }
     
-    _buildCriticNetwork() {
-        const input = tf.input({ shape: [this.inputDim] });
-        
+    _buildCriticNetwork(input = tf.input({ shape: [this.featureDim] }), trunk = null) {
         // Critic's own hidden layers
-        let x = input;
-        for (let i = 0; i < this.hiddenUnits.length; i++) {
-            x = tf.layers.dense({ 
-                units: this.hiddenUnits[i], 
-                activation: 'linear',
-                kernelInitializer: 'heNormal',
-                name: `critic_dense${i + 1}_${this.modelId}`
-            }).apply(x);
-            x = this._gelu(x, `critic_gelu${i + 1}_${this.modelId}`);
-        }
+        const x = trunk ?? this._hiddenLayers(input, this.criticSpec, 'critic');
         
         // Critic output - state value
         const criticValue = tf.layers.dense({ 
             units: 1, 
             activation: 'linear',
-            kernelInitializer: 'glorotUniform',
+            kernelInitializer: this._initializer(this.criticSpec, this.criticSpec.outputGain,
+                () => tf.initializers.glorotUniform({ seed: tfSeed('init') })),
             name: `critic_out_${this.modelId}`
         }).apply(x);
         
@@ -98,97 +202,192 @@ export class ActorCritic {
         });
     }
     
+    // Numbers of recurrent state per car: actor cell then critic cell (0 without recurrence)
+    get recurrentStateSize() {
+        if (!this.actorCell) return 0;
+        return this.actorCell.stateSize + (this.criticCell === this.actorCell ? 0 : this.criticCell.stateSize);
+    }
+    
+    /**
+     * Network inputs for a batch - the states themselves, or with recurrence [state, cell output] per step
+     * @param {tf.Tensor} states - [batch, inputDim], or (recurrent) [batch, steps, inputDim] sequences
+     * @param {tf.Tensor} [recurrentStates] - [batch, recurrentStateSize] before the first step (default zeros)
+     * @returns {{ actor: tf.Tensor, critic: tf.Tensor, state: tf.Tensor|null }} Actor and critic inputs
+     *   [batch × steps, featureDim] (sequence-major rows) and the recurrent state after the last step
+     */
+    encode(states, recurrentStates = null) {
+        if (!this.actorCell) {
+            return { actor: states, critic: states, state: null };
+        }
+        
+        const sequences = states.rank === 2 ? tf.expandDims(states, 1) : states;
+        const [batch, steps] = sequences.shape;
+        const flatStates = tf.reshape(sequences, [batch * steps, this.inputDim]);
+        const initial = recurrentStates ?? tf.zeros([batch, this.recurrentStateSize]);
+        
+        const actorSize = this.actorCell.stateSize;
+        const actorRun = this.actorCell.unroll(sequences, tf.slice(initial, [0, 0], [batch, actorSize]));
+        const actor = tf.concat([flatStates, actorRun.outputs], 1);
+        if (this.criticCell === this.actorCell) {
+            return { actor, critic: actor, state: actorRun.state };
+        }
+        
+        const criticRun = this.criticCell.unroll(sequences, tf.slice(initial, [0, actorSize], [batch, this.criticCell.stateSize]));
+        return {
+            actor,
+            critic: tf.concat([flatStates, criticRun.outputs], 1),
+            state: tf.concat([actorRun.state, criticRun.state], 1),
+        };
+    }
+    
+    // Recurrent states as a tensor (null entries = fresh episode = zeros), or null without recurrence
+    recurrentTensor(recurrentStates, count) {
+        const size = this.recurrentStateSize;
+        if (size === 0) return null;
+        const zeros = new Array(size).fill(0);
+        return tf.tensor2d(Array.from({ length: count }, (_, i) => recurrentStates?.[i] ?? zeros), [count, size]);
+    }
+    
     // Forward pass - returns action mean and value from separate networks
-    forward(states) {
-        const mean = this.actorModel.predict(states);
-        const value = this.criticModel.predict(states);
+    forward(states, recurrentStates = null) {
+        const inputs = this.encode(states, recurrentStates);
+        const { out: mean, logStd } = this.policy(inputs.actor);
+        const value = this.criticModel.predict(inputs.critic);
         return { 
             mean, 
             value: tf.squeeze(value, -1),
-            logStd: this.logStd
+            logStd
         };
     }
     
-    // Sample action from Gaussian policy (for collecting experience)
-    act(state) {
+    // Actor forward pass: distribution parameters for a batch of actor inputs (states, or encode() output)
+    // Returns { out: [batch, actionDim], logStd: [batch, actionDim] (state-dependent) or the [actionDim] variable }
+    policy(states) {
+        if (!this.stateDependentStd) {
+            return { out: this.actorModel.predict(states), logStd: this.logStd };
+        }
+        
+        const [out, squashed] = this.actorModel.predict(states);
+        const halfRange = (LOG_STD_MAX - LOG_STD_MIN) / 2;
+        return { out, logStd: tf.add(LOG_STD_INIT, tf.mul(halfRange, squashed)) };
+    }
+    
+    // Sample action from the policy (for collecting experience)
+    act(state, recurrentState = null) {
+        return this.actBatch([state], [recurrentState])[0];
+    }
+    
+    // Sample actions for many states with one forward pass per network
+    // recurrentStates: each car's memory (null = start of an episode); ignored without recurrence
+    // Returns per-row { action, value, logProb, mean, recurrentState, nextRecurrentState } like act();
+    // `mean` is the most likely action, recurrentState the memory acted from (store it), nextRecurrentState
+    // the memory to carry into the car's next step (both null without recurrence)
+    actBatch(states, recurrentStates = null) {
+        if (states.length === 0) return [];
+        
         return tf.tidy(() => {
-            const stateTensor = tf.tensor2d([state]);
-            const meanTensor = this.actorModel.predict(stateTensor);
-            const valueTensor = this.criticModel.predict(stateTensor);
+            const stateTensor = tf.tensor2d(states);
+            const recurrentTensor = this.recurrentTensor(recurrentStates, states.length);
+            const inputs = this.encode(stateTensor, recurrentTensor);
+            const policy = this.policy(inputs.actor);
+            const outputs = policy.out.dataSync();
+            const values = this.criticModel.predict(inputs.critic).dataSync();
+            const memories = recurrentTensor ? recurrentTensor.arraySync() : null;
+            const nextMemories = inputs.state ? inputs.state.arraySync() : null;
             
-            const mean = meanTensor.dataSync();
-            const value = valueTensor.dataSync()[0];
-            const logStdArr = this.logStd.dataSync();
+            // One log std per (row, dim) either way
+            const logStdArr = tf.broadcastTo(policy.logStd, policy.out.shape).dataSync();
+            const rng = getRandom('policy');
             
-            // Sample from Gaussian
-            const action = [];
-            let logProb = 0;
+            const actions = [];
+            for (let row = 0; row < states.length; row++) {
+                const action = [];
+                for (let i = 0; i < this.actionDim; i++) {
+                    const k = row * this.actionDim + i;
+                    action.push(this.distribution.sample(outputs[k], logStdArr[k], rng));
+                }
+                actions.push(action);
+            }
             
             for (let i = 0; i < this.actionDim; i++) {
-                const std = Math.exp(logStdArr[i]);
-                const noise = this._randn();
-                const a = Math.max(-1, Math.min(1, mean[i] + std * noise));
-                action.push(a);
-                
-                // Log probability
-                const diff = a - mean[i];
-                logProb += -0.5 * (diff * diff / (std * std) + 2 * logStdArr[i] + Math.log(2 * Math.PI));
+                let logSum = 0, sum = 0;
+                for (let row = 0; row < states.length; row++) {
+                    logSum += logStdArr[row * this.actionDim + i];
+                    sum += Math.exp(logStdArr[row * this.actionDim + i]);
+                }
+                this.lastLogStd[i] = logSum / states.length;
+                this.lastStd[i] = sum / states.length;
             }
             
-            return { action, value, logProb, mean: Array.from(mean) };
+            // Same log-prob code as the update, so the PPO ratio starts at exactly 1
+            const logProbs = this.computeLogProb(policy, tf.tensor2d(actions)).dataSync();
+            
+            return actions.map((action, row) => ({
+                action,
+                value: values[row],
+                logProb: logProbs[row],
+                mean: action.map((_, i) => this.distribution.mode(outputs[row * this.actionDim + i])),
+                recurrentState: memories?.[row] ?? null,
+                nextRecurrentState: nextMemories?.[row] ?? null,
+            }));
         });
     }
     
-    // Get value only (for bootstrapping)
-    getValue(state) {
+    // Values for many states with one forward pass (recurrentStates as in actBatch)
+    getValues(states, recurrentStates = null) {
+        if (states.length === 0) return [];
+        
         return tf.tidy(() => {
-            const stateTensor = tf.tensor2d([state]);
-            const valueTensor = this.criticModel.predict(stateTensor);
-            return valueTensor.dataSync()[0];
+            const inputs = this.encode(tf.tensor2d(states), this.recurrentTensor(recurrentStates, states.length));
+            const valueTensor = this.criticModel.predict(inputs.critic);
+            return Array.from(valueTensor.dataSync());
         });
     }
     
-    // Standard normal random
-    _randn() {
-        let u = 0, v = 0;
-        while (u === 0) u = Math.random();
-        while (v === 0) v = Math.random();
-        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    // Get value only (for bootstrapping)
+    getValue(state, recurrentState = null) {
+        return this.getValues([state], [recurrentState])[0];
     }
     
     // Compute log probability for a batch (for PPO update)
-    computeLogProb(means, actions) {
-        const std = tf.exp(this.logStd);
-        const variance = tf.square(std);
-        
-        const diff = tf.sub(actions, means);
-        const logProb = tf.mul(-0.5, tf.add(
-            tf.div(tf.square(diff), variance),
-            tf.add(tf.mul(2, this.logStd), Math.log(2 * Math.PI))
-        ));
-        
-        return tf.sum(logProb, -1);
+    // policy: policy(states) output, actions: [batch, actionDim] → [batch]
+    computeLogProb(policy, actions) {
+        return tf.sum(this.distribution.logProb(policy.out, policy.logStd, actions), -1);
     }
     
     // Get entropy of policy (as a scalar for logging)
-    getEntropy() {
-        const logStdArr = this.logStd.dataSync();
-        let entropy = 0;
-        for (let i = 0; i < this.actionDim; i++) {
-            entropy += 0.5 + 0.5 * Math.log(2 * Math.PI) + logStdArr[i];
-        }
-        return entropy;
+    // Without a policy(states) output, a centred policy (output 0) with the global or fleet-average log std
+    getEntropy(policy = null) {
+        return tf.tidy(() => this.getEntropyTensor(policy ?? {
+            out: tf.zeros([1, this.actionDim]),
+            logStd: tf.tensor1d(this.getLogStdValues()),
+        }).dataSync()[0]);
     }
     
-    // Get entropy as a tensor (for including in loss)
-    getEntropyTensor() {
-        const perDim = tf.add(0.5 + 0.5 * Math.log(2 * Math.PI), this.logStd);
-        return tf.sum(perDim);
+    // Get entropy as a tensor (for including in loss), averaged over the batch
+    getEntropyTensor(policy) {
+        return tf.mean(this.getEntropyPerSample(policy));
     }
     
-    // Get logStd values for display
+    // Entropy of each row's action distribution, [batch]
+    getEntropyPerSample(policy) {
+        return tf.sum(this.distribution.entropy(policy.out, policy.logStd), -1);
+    }
+    
+    // Get logStd values for display (state-dependent: averaged over the cars in the last actBatch)
     getLogStdValues() {
-        return Array.from(this.logStd.dataSync());
+        return this.logStd ? Array.from(this.logStd.dataSync()) : [...this.lastLogStd];
+    }
+    
+    // Get std values for display (state-dependent: averaged over the cars in the last actBatch)
+    getStdValues() {
+        return this.logStd ? this.getLogStdValues().map(Math.exp) : [...this.lastStd];
+    }
+    
+    // Clamp the global logStd variable to [LOG_STD_MIN, LOG_STD_MAX] (after each gradient step)
+    clampLogStd() {
+        if (!this.logStd) return;
+        tf.tidy(() => this.logStd.assign(tf.clipByValue(this.logStd, LOG_STD_MIN, LOG_STD_MAX)));
     }
     
     // Get trainable weights for actor (for policy optimization)
@@ -201,23 +400,97 @@ export class ActorCritic {
         return this.criticModel.trainableWeights;
     }
     
-    // Pretrain actor with simple heuristic: counter-steer angle error
+    // Every variable the policy depends on (network weights, recurrent cell, logStd)
+    getActorVariables() {
+        const variables = this.actorModel.trainableWeights.map(w => w.read());
+        if (this.actorCell) variables.push(...this.actorCell.variables);
+        if (this.logStd) variables.push(this.logStd);
+        return variables;
+    }
+    
+    // Every variable the value depends on (network weights, recurrent cell)
+    getCriticVariables() {
+        const variables = this.criticModel.trainableWeights.map(w => w.read());
+        if (this.criticCell) variables.push(...this.criticCell.variables);
+        return variables;
+    }
+    
+    // Snapshot actor, critic and logStd weights (for checkpoints)
+    getWeightData() {
+        return {
+            actor: this.actorModel.getWeights().map(w => encodeTensor(w)),
+            critic: this.criticModel.getWeights().map(w => encodeTensor(w)),
+            logStd: this.logStd ? encodeTensor(this.logStd) : null,
+            recurrent: this.actorCell ? {
+                actor: this.actorCell.getWeightData(),
+                critic: this.criticCell.getWeightData(),
+            } : null,
+        };
+    }
+    
+    // Restore weights saved by getWeightData() (architecture must match)
+    setWeightData(data) {
+        this._setModelWeights(this.actorModel, data.actor, 'actor');
+        this._setModelWeights(this.criticModel, data.critic, 'critic');
+        
+        if (this.logStd) {
+            const logStd = decodeTensor(data.logStd);
+            this.logStd.assign(logStd);
+            logStd.dispose();
+        }
+        if (this.actorCell) {
+            this.actorCell.setWeightData(data.recurrent.actor);
+            this.criticCell.setWeightData(data.recurrent.critic);
+        }
+    }
+    
+    _setModelWeights(model, encodedWeights, label) {
+        const current = model.getWeights();
+        if (current.length !== encodedWeights.length) {
+            throw new Error(`Checkpoint ${label} has ${encodedWeights.length} weight tensors, model has ${current.length}`);
+        }
+        
+        const tensors = encodedWeights.map((e, i) => {
+            if (e.shape.join(',') !== current[i].shape.join(',')) {
+                throw new Error(`Checkpoint ${label} weight ${i} has shape [${e.shape}], model expects [${current[i].shape}]`);
+            }
+            return decodeTensor(e);
+        });
+        
+        model.setWeights(tensors);
+        tensors.forEach(t => t.dispose());
+    }
+    
+    // Pretrain actor with simple heuristic: counter-steer angle error,
+    // and (when learned) ease off the throttle and brake as the wall ahead gets close
     async pretrain(numSamples = 500, epochs = 20) {
         console.log('🎓 Pretraining actor with behavioral cloning...');
         
         const states = [];
         const targetActions = [];
+        const rng = getRandom('pretrain');
         
         for (let i = 0; i < numSamples; i++) {
-            const sensors = Array.from({ length: 8 }, () => Math.random());
-            const speed = Math.random();
-            const angleToTrack = (Math.random() - 0.5) * 2;
+            const sensors = Array.from({ length: 8 }, () => rng.next());
+            const speed = rng.next();
+            const angleToTrack = rng.uniform(-1, 1);
             
             const state = [...sensors, speed, angleToTrack];
             const steering = -angleToTrack * 0.8;
             
+            // Sensor 3 looks straight ahead; throttle in [0, 1], encoded the way Car.applyAction decodes it
+            const ahead = sensors[3];
+            const throttle = Math.max(0.3, Math.min(1, ahead * 1.5));
+            const brake = ahead < 0.25 && speed > 0.5 ? 0.8 : -0.5;
+            
+            const action = [
+                steering,
+                CONFIG.ALLOW_REVERSE ? throttle : throttle * 2 - 1,
+                brake,
+            ].slice(0, this.actionDim);
+            
             states.push(state);
-            targetActions.push([Math.max(-1, Math.min(1, steering))]);
+            targetActions.push(action.map(a => this.distribution.toHead(Math.max(-1, Math.min(1, a)))));
         }
         
         const statesTensor = tf.tensor2d(states);
@@ -227,7 +500,7 @@ export class ActorCritic {
         
         for (let epoch = 0; epoch < epochs; epoch++) {
             const loss = optimizer.minimize(() => {
-                const meanPred = this.actorModel.predict(statesTensor);
+                const meanPred = this.policy(this.encode(statesTensor).actor).out;
                 return tf.losses.meanSquaredError(actionsTensor, meanPred);
             }, true);
             
@@ -251,8 +524,16 @@ export class ActorCritic {
         if (this.actorModel) {
             this.actorModel.dispose();
         }
-        if (this.criticModel) {
+        if (this.criticModel && this.sharedTrunk) {
+            // The input and trunk layers went with the actor model; only the value head is left
+            const actorLayers = new Set(this.actorModel.layers);
+            this.criticModel.layers.filter(layer => !actorLayers.has(layer)).forEach(layer => layer.dispose());
+        } else if (this.criticModel) {
             this.criticModel.dispose();
         }
+        this.actorCell?.dispose();
+        if (this.criticCell !== this.actorCell) {
+            this.criticCell?.dispose();
+        }
     }
 }
@@ -0,0 +1,77 @@
+// Checkpoint format for PPO agents
+// Plain JSON (shapes + flat number arrays) so the same object can go to IndexedDB or a downloaded file
+
+export const CHECKPOINT_FORMAT = 'krampuskart-ppo-checkpoint';
+export const CHECKPOINT_VERSION = 2;  // 2: observation/reward normalizer statistics
+
+/**
+ * Convert a tensor (or tf.Variable) to a JSON-friendly object
+ * @param {tf.Tensor} tensor
+ * @param {string} [name] - Optional name (kept for readability only)
+ * @returns {{ name?: string, shape: number[], dtype: string, data: number[] }}
+ */
+export function encodeTensor(tensor, name) {
+    const encoded = {
+        shape: tensor.shape,
+        dtype: tensor.dtype,
+        data: Array.from(tensor.dataSync()),
+    };
+    if (name) encoded.name = name;
+    return encoded;
+}
+
+/**
+ * Rebuild a tensor from encodeTensor() output
+ * @param {{ shape: number[], dtype: string, data: number[] }} encoded
+ * @returns {tf.Tensor} New tensor (caller owns it)
+ */
+export function decodeTensor(encoded) {
+    return tf.tensor(encoded.data, encoded.shape, encoded.dtype);
+}
+
+/**
+ * Serialize an optimizer's internal state (Adam moments + iteration count)
+ * @param {tf.Optimizer} optimizer
+ * @returns {Promise<Object[]>}
+ */
+export async function encodeOptimizer(optimizer) {
+    const namedTensors = await optimizer.getWeights();
+    
+    // Index 0 is a fresh 'iter' scalar; the rest are the optimizer's own variables
+    const encoded = namedTensors.map(({ name, tensor }) => encodeTensor(tensor, name));
+    namedTensors[0].tensor.dispose();
+    
+    return encoded;
+}
+
+/**
+ * Restore an optimizer's internal state from encodeOptimizer() output
+ * @param {tf.Optimizer} optimizer
+ * @param {Object[]} encoded
+ */
+export async function decodeOptimizer(optimizer, encoded) {
+    // setWeights swaps in new moment variables without disposing the current ones, so free those first
+    // (getWeights returns them after a fresh 'iter' scalar, which goes too)
+    const current = await optimizer.getWeights();
+    tf.dispose(current.map(({ tensor }) => tensor));
+    
+    const namedTensors = encoded.map(e => ({ name: e.name, tensor: decodeTensor(e) }));
+    await optimizer.setWeights(namedTensors);
+    
+    // setWeights copies the moments into new variables, so the inputs can go
+    namedTensors.forEach(({ tensor }) => tensor.dispose());
+}
+
+/**
+ * Check that an object looks like a checkpoint this code can load
+ * @param {Object} checkpoint
+ * @throws {Error} If the format or version is not supported
+ */
+export function validateCheckpoint(checkpoint) {
+    if (!checkpoint || checkpoint.format !== CHECKPOINT_FORMAT) {
+        throw new Error('Not a Krampus Kart PPO checkpoint');
+    }
+    if (checkpoint.version > CHECKPOINT_VERSION) {
+        throw new Error(`Checkpoint version ${checkpoint.version} is newer than supported version ${CHECKPOINT_VERSION}`);
+    }
+}
@@ -0,0 +1,206 @@
+// Action distributions for the actor - how the network output and logStd become actions in [-1, 1]
+// Chosen with CONFIG.PPO.ACTION_DISTRIBUTION (part of the agent's architecture, saved in checkpoints)
+//
+//   'clipped' - Gaussian N(out, σ) clamped to [-1, 1]; the clamped ends carry the tail mass,
+//               so log-probs of saturated actions are log P(a ≥ 1) / log P(a ≤ -1), not the density
+//   'tanh'    - tanh(u) with u ~ N(out, σ); log-probs include the Jacobian -log(1 - a²)
+//   'beta'    - Beta on [-1, 1] with mode `out` and concentration e^(-2 logStd) (α, β ≥ 1, so never U-shaped)
+//
+// Each distribution provides:
+//   head            Activation of the actor's output layer
+//   toHead(a)       Network output that acts like action a (for pretraining targets)
+//   mode(out)       Most likely action (shown as the policy's "mean")
+//   sample(out, logStd, rng)     One action dimension, plain numbers
+//   logProb(out, logStd, actions) Per-dimension log-probabilities, tensor [batch, actionDim]
+//   entropy(out, logStd)         Per-dimension entropy, tensor [batch, actionDim]
+// `out` is the actor output (tensor [batch, actionDim] or a number), logStd the learned [actionDim] variable
+
+const LOG_SQRT_2PI = 0.5 * Math.log(2 * Math.PI);
+const TAIL_FLOOR = 1e-8;       // Smallest tail mass for 'clipped' (keeps log finite far past the bounds)
+const EDGE = 1 - 1e-6;         // Sampled actions stay strictly inside (-1, 1) where the density needs it
+
+// 5-point Gauss-Hermite quadrature: E[f(u)], u ~ N(m, σ²) ≈ Σ w f(m + √2 σ x) / √π
+const HERMITE_NODES = [-2.0201828705, -0.9585724646, 0, 0.9585724646, 2.0201828705];
+const HERMITE_WEIGHTS = [0.0199532421, 0.3936193232, 0.9453087205, 0.3936193232, 0.0199532421];
+
+const clamp = (x, limit) => Math.max(-limit, Math.min(limit, x));
+
+// Gaussian log density per element (tensors)
+function gaussianLogProb(x, mean, logStd) {
+    const z = tf.div(tf.sub(x, mean), tf.exp(logStd));
+    return tf.sub(tf.mul(-0.5, tf.square(z)), tf.add(logStd, LOG_SQRT_2PI));
+}
+
+// Gaussian entropy per dimension, broadcast to the batch shape of `out`
+function gaussianEntropy(out, logStd) {
+    return tf.add(tf.zerosLike(out), tf.add(logStd, 0.5 + LOG_SQRT_2PI));
+}
+
+const clipped = {
+    head: 'tanh',
+    toHead: a => a,
+    mode: out => clamp(out, 1),
+    
+    sample(out, logStd, rng) {
+        return clamp(out + Math.exp(logStd) * rng.normal(), 1);
+    },
+    
+    logProb(out, logStd, actions) {
+        const std = tf.exp(logStd);
+        const erfScale = tf.mul(std, Math.SQRT2);
+        const upperTail = tf.mul(0.5, tf.sub(1, tf.erf(tf.div(tf.sub(1, out), erfScale))));
+        const lowerTail = tf.mul(0.5, tf.add(1, tf.erf(tf.div(tf.sub(-1, out), erfScale))));
+        const logTail = tail => tf.log(tf.maximum(tail, TAIL_FLOOR));
+        
+        return tf.where(tf.greaterEqual(actions, 1), logTail(upperTail),
+            tf.where(tf.lessEqual(actions, -1), logTail(lowerTail), gaussianLogProb(actions, out, logStd)));
+    },
+    
+    // Entropy of the Gaussian before clamping (the clamped distribution is part discrete)
+    entropy: gaussianEntropy,
+};
+
+const tanhGaussian = {
+    head: 'linear',
+    toHead: a => Math.atanh(clamp(a, 0.995)),
+    mode: out => Math.tanh(out),
+    
+    sample(out, logStd, rng) {
+        return clamp(Math.tanh(out + Math.exp(logStd) * rng.normal()), EDGE);
+    },
+    
+    logProb(out, logStd, actions) {
+        const a = tf.clipByValue(actions, -EDGE, EDGE);
+        const u = tf.atanh(a);
+        return tf.sub(gaussianLogProb(u, out, logStd), tf.log1p(tf.neg(tf.square(a))));
+    },
+    
+    // H(tanh u) = H(u) + E[log(1 - tanh²u)], the expectation by quadrature (no closed form)
+    entropy(out, logStd) {
+        const spread = tf.mul(tf.exp(logStd), Math.SQRT2);
+        let expectation = tf.zerosLike(out);
+        for (let i = 0; i < HERMITE_NODES.length; i++) {
+            const u = tf.add(out, tf.mul(spread, HERMITE_NODES[i]));
+            // log(1 - tanh²u) = 2 (log 2 - u - softplus(-2u)), stable for large |u|
+            const logJacobian = tf.mul(2, tf.sub(tf.sub(Math.LN2, u), tf.softplus(tf.mul(-2, u))));
+            expectation = tf.add(expectation, tf.mul(HERMITE_WEIGHTS[i] / Math.sqrt(Math.PI), logJacobian));
+        }
+        return tf.add(gaussianEntropy(out, logStd), expectation);
+    },
+};
+
+const betaDistribution = {
+    head: 'tanh',
+    toHead: a => a,
+    mode: out => clamp(out, 1),
+    
+    sample(out, logStd, rng) {
+        const { alpha, beta } = betaParams(out, logStd);
+        const x = sampleGamma(alpha, rng);
+        const y = sampleGamma(beta, rng);
+        return clamp(2 * x / (x + y) - 1, EDGE);
+    },
+    
+    logProb(out, logStd, actions) {
+        const { alpha, beta } = betaParamTensors(out, logStd);
+        const x = tf.div(tf.add(tf.clipByValue(actions, -EDGE, EDGE), 1), 2);
+        const density = tf.add(
+            tf.mul(tf.sub(alpha, 1), tf.log(x)),
+            tf.mul(tf.sub(beta, 1), tf.log1p(tf.neg(x)))
+        );
+        // - log 2: the density is stretched from [0, 1] to [-1, 1]
+        return tf.sub(density, tf.add(logBeta(alpha, beta), Math.LN2));
+    },
+    
+    entropy(out, logStd) {
+        const { alpha, beta } = betaParamTensors(out, logStd);
+        const sum = tf.add(alpha, beta);
+        return tf.add(
+            tf.add(logBeta(alpha, beta), Math.LN2),
+            tf.sub(
+                tf.mul(tf.sub(sum, 2), digamma(sum)),
+                tf.add(tf.mul(tf.sub(alpha, 1), digamma(alpha)), tf.mul(tf.sub(beta, 1), digamma(beta)))
+            )
+        );
+    },
+};
+
+export const DISTRIBUTIONS = { clipped, tanh: tanhGaussian, beta: betaDistribution };
+
+/**
+ * Look up an action distribution by name
+ * @param {string} name - 'clipped', 'tanh' or 'beta'
+ * @returns {Object} Distribution (see the header comment)
+ * @throws {Error} On an unknown name
+ */
+export function getDistribution(name) {
+    const distribution = DISTRIBUTIONS[name];
+    if (!distribution) {
+        throw new Error(`Unknown action distribution "${name}" (expected one of ${Object.keys(DISTRIBUTIONS).join(', ')})`);
+    }
+    return distribution;
+}
+
+// === Beta helpers ===
+
+// Mode (out + 1) / 2 on [0, 1]; α + β - 2 = e^(-2 logStd), so a smaller logStd means a narrower policy
+function betaParams(out, logStd) {
+    const mode = (clamp(out, 1) + 1) / 2;
+    const concentration = Math.exp(-2 * logStd);
+    return { alpha: 1 + mode * concentration, beta: 1 + (1 - mode) * concentration };
+}
+
+function betaParamTensors(out, logStd) {
+    const mode = tf.div(tf.add(tf.clipByValue(out, -1, 1), 1), 2);
+    const concentration = tf.exp(tf.mul(-2, logStd));
+    return {
+        alpha: tf.add(1, tf.mul(mode, concentration)),
+        beta: tf.add(1, tf.mul(tf.sub(1, mode), concentration)),
+    };
+}
+
+// Marsaglia-Tsang Gamma(shape, 1) sampler (shape ≥ 1, which betaParams guarantees)
+function sampleGamma(shape, rng) {
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        const x = rng.normal();
+        const v = (1 + c * x) ** 3;
+        if (v <= 0) continue;
+        if (Math.log(rng.next()) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+            return d * v;
+        }
+    }
+}
+
+// TF.js has no lgamma/digamma: shift z up by 6 with the recurrences, then use the asymptotic series
+// (series error far below float32 precision for z > 0, and differentiable)
+const SHIFT = 6;
+
+function lgamma(z) {
+    let logProduct = tf.log(z);
+    for (let k = 1; k < SHIFT; k++) {
+        logProduct = tf.add(logProduct, tf.log(tf.add(z, k)));
+    }
+    const w = tf.add(z, SHIFT);
+    const w2 = tf.square(w);
+    const series = tf.div(tf.sub(1 / 12, tf.div(tf.sub(1 / 360, tf.div(1 / 1260, w2)), w2)), w);
+    const stirling = tf.add(tf.sub(tf.mul(tf.sub(w, 0.5), tf.log(w)), w), tf.add(LOG_SQRT_2PI, series));
+    return tf.sub(stirling, logProduct);
+}
+
+function digamma(z) {
+    let reciprocals = tf.reciprocal(z);
+    for (let k = 1; k < SHIFT; k++) {
+        reciprocals = tf.add(reciprocals, tf.reciprocal(tf.add(z, k)));
+    }
+    const w = tf.add(z, SHIFT);
+    const w2 = tf.square(w);
+    const series = tf.div(tf.sub(1 / 12, tf.div(tf.sub(1 / 120, tf.div(1 / 252, w2)), w2)), w2);
+    const asymptotic = tf.sub(tf.sub(tf.log(w), tf.div(0.5, w)), series);
+    return tf.sub(asymptotic, reciprocals);
+}
+
+function logBeta(alpha, beta) {
+    return tf.sub(tf.add(lgamma(alpha), lgamma(beta)), lgamma(tf.add(alpha, beta)));
+}
@@ -2,6 +2,13 @@
 // Stores rollout data and computes GAE (Generalized Advantage Estimation)
 
 import { average } from '../utils.js';
+import { getRandom } from '../rng.js';
+
+// Per-step arrays (what toJSON hands over)
+const STEP_FIELDS = [
+    'states', 'actions', 'rewards', 'values', 'logProbs', 'recurrentStates', 'policyVersions',
+    'terminated', 'truncated', 'bootstrapValues',
+];
 
 export class ExperienceBuffer {
     constructor() {
@@ -14,7 +21,15 @@ export class ExperienceBuffer {
         this.rewards = [];
         this.values = [];
         this.logProbs = [];
-        this.dones = [];
+        this.recurrentStates = [];  // Policy memory each step was acted from (recurrent policy only, else null)
+        this.policyVersions = [];   // Update count of the weights that acted (older than the learner's with a learner worker)
+        
+        // Set on the last step of each segment (one car's contiguous steps), 0 elsewhere
+        this.terminated = [];       // Episode really ended (crash or lap) - nothing after it
+        this.truncated = [];        // Cut short (time limit or rollout horizon) - bootstrapValues stands in for the rest
+        this.bootstrapValues = [];  // V(state after the last step) for truncated segments
+        this.segmentStart = 0;
+        
         this.returns = null;
         this.advantages = null;
     }
@@ -23,59 +38,79 @@ export class ExperienceBuffer {
         return this.states.length;
     }
     
-    add(state, action, reward, value, logProb, done) {
+    add(state, action, reward, value, logProb, recurrentState = null, policyVersion = 0) {
         this.states.push(state);
         this.actions.push(action);
         this.rewards.push(reward);
         this.values.push(value);
         this.logProbs.push(logProb);
-        this.dones.push(done ? 1 : 0);
+        this.recurrentStates.push(recurrentState);
+        this.policyVersions.push(policyVersion);
+        this.terminated.push(0);
+        this.truncated.push(0);
+        this.bootstrapValues.push(0);
+    }
+    
+    /**
+     * Close the segment of steps added since the last call
+     * @param {Object} end - { terminated, truncated, bootstrapValue }: exactly one of terminated/truncated should be set;
+     *   bootstrapValue is the critic's value of the state after the last step (used when truncated)
+     */
+    endSegment({ terminated = false, truncated = false, bootstrapValue = 0 } = {}) {
+        const last = this.states.length - 1;
+        if (last < this.segmentStart) return;  // Empty segment
+        
+        this.terminated[last] = terminated ? 1 : 0;
+        this.truncated[last] = truncated && !terminated ? 1 : 0;
+        this.bootstrapValues[last] = bootstrapValue;
+        this.segmentStart = last + 1;
     }
     
-    // Compute returns and advantages
-    // Uses Monte Carlo returns for critic (actual discounted rewards, no bootstrap pollution)
+    // Compute returns and advantages, segment by segment
+    // Uses Monte Carlo returns for critic (actual discounted rewards; truncated segments add γ·V(next state))
     // Uses GAE for advantages (actor still benefits from variance reduction)
-    computeReturnsAndAdvantages(lastValue, gamma, lambda) {
+    // rewardScale: rewards are divided by it first (reward normalization); values are already in those units
+    computeReturnsAndAdvantages(gamma, lambda, rewardScale = 1) {
         const n = this.rewards.length;
+        if (n > this.segmentStart) {
+            throw new Error('Experience buffer ends mid-segment - call endSegment() first');
+        }
+        
+        const rewards = this.rewards.map(r => r / rewardScale);
         this.returns = new Array(n);       // Monte Carlo returns for critic
         this.advantages = new Array(n);
         
-        // STEP 1: Compute MONTE CARLO returns (no bootstrap pollution)
-        // This gives the critic TRUE targets based on actual observed rewards
-        let mcReturn = lastValue;  // Bootstrap only at the very end of rollout
-        for (let t = n - 1; t >= 0; t--) {
-            if (this.dones[t]) {
-                // Episode ended here - return is just this step's reward
-                mcReturn = this.rewards[t];
-            } else {
-                // Accumulate discounted reward
-                mcReturn = this.rewards[t] + gamma * mcReturn;
-            }
-            this.returns[t] = mcReturn;
-        }
-        
-        // STEP 2: Compute GAE advantages for the actor
-        // Actor still benefits from variance reduction of GAE
+        let mcReturn = 0;
         let gae = 0;
         for (let t = n - 1; t >= 0; t--) {
-            const nextValue = (t === n - 1) ? lastValue : this.values[t + 1];
+            const segmentEnd = this.terminated[t] || this.truncated[t];
             
-            // TD error: δ = r + γ * V(s') * (1 - done) - V(s)
-            const delta = this.rewards[t] + gamma * nextValue * (1 - this.dones[t]) - this.values[t];
+            // Value of the state after step t: 0 past a termination, the bootstrap past a truncation,
+            // otherwise the next step of the same segment
+            const nextValue = this.terminated[t] ? 0
+                : this.truncated[t] ? this.bootstrapValues[t]
+                : this.values[t + 1];
+            
+            // STEP 1: MONTE CARLO return - observed rewards, bootstrapped only where a segment was cut short
+            mcReturn = rewards[t] + gamma * (segmentEnd ? nextValue : mcReturn);
+            this.returns[t] = mcReturn;
             
-            // GAE: A = δ + γλ * (1 - done) * A'
-            gae = delta + gamma * lambda * (1 - this.dones[t]) * gae;
+            // STEP 2: GAE advantage for the actor
+            // TD error: δ = r + γ * V(s') - V(s)
+            const delta = rewards[t] + gamma * nextValue - this.values[t];
             
+            // GAE: A = δ + γλ * A' (restarting at each segment end)
+            gae = delta + gamma * lambda * (segmentEnd ? 0 : gae);
             this.advantages[t] = gae;
         }
         
         // Compute statistics
         const avgReturn = average(this.returns);
         const avgValue = average(this.values);
-        const avgReward = average(this.rewards);
+        const avgReward = average(rewards);
         
-        // Store for external access (so UI can compare V₀ to actual discounted return)
-        this.lastAvgMCReturn = avgReturn;
+        // Store for external access (so UI can compare V₀ to actual discounted return), in raw reward units
+        this.lastAvgMCReturn = avgReturn * rewardScale;
         
         console.log(`📊 MC Returns: avgReturn=${avgReturn.toFixed(2)}, avgValue=${avgValue.toFixed(2)}, avgReward=${avgReward.toFixed(3)}, n=${n}`);
         
@@ -110,10 +145,7 @@ export class ExperienceBuffer {
         }
         
         // Shuffle the (subsampled) indices
-        for (let i = indices.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [indices[i], indices[j]] = [indices[j], indices[i]];
-        }
+        this._shuffle(indices);
         
         // Generate batches
         const batches = [];
@@ -127,27 +159,110 @@ export class ExperienceBuffer {
                 returns: batchIndices.map(i => this.returns[i]),
                 advantages: batchIndices.map(i => this.advantages[i]),
                 oldLogProbs: batchIndices.map(i => this.logProbs[i]),
+                oldValues: batchIndices.map(i => this.values[i]),
+                policyVersions: batchIndices.map(i => this.policyVersions[i]),
             });
         }
         
         return batches;
     }
     
+    /**
+     * Shuffled sequence mini-batches for a recurrent policy (truncated BPTT)
+     * Each segment is cut into chunks of up to sequenceLength steps that start from the recurrent state
+     * stored with their first step. Chunks are padded to sequenceLength; `mask` is 0 on the padding.
+     * Per-step fields are flat and sequence-major ([chunk 0 step 0, chunk 0 step 1, ...]) like ActorCritic.encode
+     * @param {number} sequenceLength - BPTT length
+     * @param {number} batchSize - Steps per mini-batch (rounded to whole chunks)
+     * @returns {Object[]} { states: [chunk][step][], initialStates: [chunk][], mask, actions, returns, advantages, oldLogProbs, oldValues, policyVersions }
+     */
+    getSequenceBatches(sequenceLength, batchSize) {
+        // [start, length] of every chunk
+        const chunks = [];
+        let segmentStart = 0;
+        for (let t = 0; t < this.states.length; t++) {
+            if (!this.terminated[t] && !this.truncated[t]) continue;
+            for (let start = segmentStart; start <= t; start += sequenceLength) {
+                chunks.push([start, Math.min(sequenceLength, t + 1 - start)]);
+            }
+            segmentStart = t + 1;
+        }
+        this._shuffle(chunks);
+        
+        const chunksPerBatch = Math.max(1, Math.round(batchSize / sequenceLength));
+        const zeroState = new Array(this.states[0]?.length ?? 0).fill(0);
+        const zeroAction = new Array(this.actions[0]?.length ?? 0).fill(0);
+        
+        const batches = [];
+        for (let first = 0; first < chunks.length; first += chunksPerBatch) {
+            const group = chunks.slice(first, first + chunksPerBatch);
+            if (group.length < chunksPerBatch / 2) continue; // Skip tiny batches
+            
+            const batch = {
+                states: [], initialStates: [], mask: [],
+                actions: [], returns: [], advantages: [], oldLogProbs: [], oldValues: [], policyVersions: [],
+            };
+            for (const [start, length] of group) {
+                const sequence = [];
+                for (let k = 0; k < sequenceLength; k++) {
+                    const i = start + k;
+                    const valid = k < length;
+                    sequence.push(valid ? this.states[i] : zeroState);
+                    batch.mask.push(valid ? 1 : 0);
+                    batch.actions.push(valid ? this.actions[i] : zeroAction);
+                    batch.returns.push(valid ? this.returns[i] : 0);
+                    batch.advantages.push(valid ? this.advantages[i] : 0);
+                    batch.oldLogProbs.push(valid ? this.logProbs[i] : 0);
+                    batch.oldValues.push(valid ? this.values[i] : 0);
+                    batch.policyVersions.push(valid ? this.policyVersions[i] : null);
+                }
+                batch.states.push(sequence);
+                batch.initialStates.push(this.recurrentStates[start]);
+            }
+            batches.push(batch);
+        }
+        
+        return batches;
+    }
+    
+    // Fisher-Yates shuffle in place (run's seeded 'minibatch' stream)
+    _shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = getRandom('minibatch').int(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+    }
+    
+    // Closed segments as plain data, for postMessage to a learner worker (rebuild with fromJSON)
+    toJSON() {
+        return {
+            ...Object.fromEntries(STEP_FIELDS.map(field => [field, this[field]])),
+            segmentStart: this.segmentStart,
+        };
+    }
+    
+    static fromJSON(data) {
+        const buffer = new ExperienceBuffer();
+        for (const field of STEP_FIELDS) {
+            buffer[field] = data[field];
+        }
+        buffer.segmentStart = data.segmentStart;
+        return buffer;
+    }
+    
     // Statistics for logging
     getStats() {
         const n = this.rewards.length;
-        if (n === 0) return { meanReward: 0, totalReward: 0, episodes: 0 };
+        if (n === 0) return { meanReward: 0, totalReward: 0, terminated: 0, truncated: 0, steps: 0 };
         
         const totalReward = this.rewards.reduce((a, b) => a + b, 0);
-        const episodes = this.dones.reduce((a, b) => a + b, 0);
         
         return {
             meanReward: totalReward / n,
             totalReward,
-            episodes,
+            terminated: this.terminated.reduce((a, b) => a + b, 0),
+            truncated: this.truncated.reduce((a, b) => a + b, 0),
             steps: n
         };
     }
 }
-
-
@@ -0,0 +1,52 @@
+// Learner Web Worker (module worker started by WorkerLearner in learner.js)
+// Holds a training-only copy of the agent. Each 'update' message carries a rollout from the page's agent;
+// the reply carries the update's stats and a checkpoint with the new weights and optimizer state.
+//
+// Messages in:  { type: 'init', config, seed, backend, checkpoint } | { type: 'update', config, rollout }
+// Messages out: { type: 'ready' } | { type: 'updated', stats, checkpoint } | { type: 'error', message }
+
+// Same TF.js build as the page's <script> tag, as an ES module
+const TFJS_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.17.0/dist/tf.fesm.min.js';
+
+// The PPO modules use the global `tf` the page gets from its <script> tag, so set it before importing them.
+// The handler below is registered straight away and waits for this.
+const modules = (async () => {
+    self.tf = await import(TFJS_URL);
+    const [{ PPOAgent }, { applyConfigOverrides }, { seedRandom }] = await Promise.all([
+        import('./ppo-agent.js'),
+        import('../config.js'),
+        import('../rng.js'),
+    ]);
+    return { PPOAgent, applyConfigOverrides, seedRandom };
+})();
+
+let agent = null;
+
+self.onmessage = async ({ data }) => {
+    try {
+        const { PPOAgent, applyConfigOverrides, seedRandom } = await modules;
+        applyConfigOverrides(data.config);
+        
+        switch (data.type) {
+            case 'init':
+                // Match the page's backend where the worker supports it (WebGL needs OffscreenCanvas)
+                if (data.backend && data.backend !== tf.getBackend()) {
+                    await tf.setBackend(data.backend).catch(() => false);
+                }
+                seedRandom(data.seed);
+                agent?.dispose();
+                agent = await PPOAgent.fromCheckpoint(data.checkpoint);
+                self.postMessage({ type: 'ready' });
+                break;
+            case 'update': {
+                const stats = await agent.trainOn(data.rollout);
+                self.postMessage({ type: 'updated', stats, checkpoint: await agent.getCheckpoint() });
+                break;
+            }
+            default:
+                throw new Error(`Unknown message type "${data.type}"`);
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
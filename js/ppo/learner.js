@@ -0,0 +1,92 @@
+// Learner Web Worker, page side (browser only; the worker itself is learner-worker.js)
+// PPO updates run in the worker while the page's agent keeps acting with the previous weights.
+// Each rollout is handed over as plain data, and the new weights and optimizer state come back after the update.
+
+import { CONFIG } from '../config.js';
+
+export class WorkerLearner {
+    constructor(worker) {
+        this.worker = worker;
+        this.pending = null;  // { resolve, reject } of the one request in flight
+        
+        worker.onmessage = ({ data }) => {
+            this._settle(data.type === 'error' ? new Error(`Learner worker: ${data.message}`) : data);
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this._settle(new Error(`Learner worker: ${event.message || 'failed to load'}`));
+        };
+    }
+    
+    /**
+     * Start a worker that trains a copy of the agent
+     * @param {PPOAgent} agent - Agent to copy (weights, optimizer state, counters)
+     * @param {number|string} seed - Run seed (the worker's minibatch shuffling draws from it)
+     * @returns {Promise<WorkerLearner>}
+     * @throws {Error} If the browser has no module workers or the worker can't load TF.js
+     */
+    static async start(agent, seed) {
+        const worker = new Worker(new URL('./learner-worker.js', import.meta.url), { type: 'module' });
+        const learner = new WorkerLearner(worker);
+        try {
+            await learner._request({ type: 'init', seed, backend: tf.getBackend(), checkpoint: await agent.getCheckpoint() });
+        } catch (err) {
+            worker.terminate();
+            throw err;
+        }
+        return learner;
+    }
+    
+    get busy() {
+        return this.pending !== null;
+    }
+    
+    /**
+     * Run one PPO update on the agent's collected experience
+     * The experience is taken from the agent right away, so it keeps collecting (with its current weights)
+     * while the worker trains; then it adopts the new weights
+     * @param {PPOAgent} agent - The acting agent this learner was started from
+     * @returns {Promise<Object>} Stats as from PPOAgent.update()
+     * @throws {Error} If an update is already running, the worker fails, or it is terminated first
+     */
+    async update(agent) {
+        if (this.busy) {
+            throw new Error('Learner worker is already running an update');
+        }
+        
+        agent.isUpdating = true;
+        try {
+            const { stats, checkpoint } = await this._request({ type: 'update', rollout: agent.takeRollout() });
+            await agent.adoptUpdate(stats, checkpoint);
+            return stats;
+        } finally {
+            agent.isUpdating = false;
+        }
+    }
+    
+    // Stop the worker (an update in flight rejects)
+    terminate() {
+        this.worker.terminate();
+        this._settle(new Error('Learner worker stopped'));
+    }
+    
+    // Post a message with the current CONFIG (settings may have changed) and wait for the worker's reply
+    _request(message) {
+        return new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+            this.worker.postMessage({ ...message, config: CONFIG });
+        });
+    }
+    
+    _settle(result) {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+        
+        if (result instanceof Error) {
+            pending.reject(result);
+        } else {
+            pending.resolve(result);
+        }
+    }
+}
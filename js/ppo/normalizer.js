@@ -0,0 +1,94 @@
+// Running statistics for observation normalization and reward scaling (opt-in via CONFIG.PPO.NORMALIZE_*)
+// Plain numbers only, so the statistics go into checkpoints next to the weights
+
+const EPSILON = 1e-8;
+
+// Per-feature running mean and variance (Welford / Chan et al. parallel update)
+export class RunningMeanStd {
+    constructor(size) {
+        this.mean = new Array(size).fill(0);
+        this.var = new Array(size).fill(1);
+        this.count = 1e-4;  // Tiny prior so the first batch dominates without dividing by zero
+    }
+    
+    // Fold a batch of rows (each `size` numbers) into the statistics
+    update(rows) {
+        const n = rows.length;
+        if (n === 0) return;
+        
+        const total = this.count + n;
+        for (let i = 0; i < this.mean.length; i++) {
+            let batchMean = 0;
+            for (const row of rows) batchMean += row[i];
+            batchMean /= n;
+            
+            let batchVar = 0;
+            for (const row of rows) batchVar += (row[i] - batchMean) ** 2;
+            batchVar /= n;
+            
+            const delta = batchMean - this.mean[i];
+            const m2 = this.var[i] * this.count + batchVar * n + delta * delta * this.count * n / total;
+            this.mean[i] += delta * n / total;
+            this.var[i] = m2 / total;
+        }
+        this.count = total;
+    }
+    
+    // (x - mean) / std, clipped to ±clip
+    normalize(row, clip = Infinity) {
+        return row.map((x, i) => {
+            const z = (x - this.mean[i]) / Math.sqrt(this.var[i] + EPSILON);
+            return Math.max(-clip, Math.min(clip, z));
+        });
+    }
+    
+    toJSON() {
+        return { mean: [...this.mean], var: [...this.var], count: this.count };
+    }
+    
+    static fromJSON({ mean, var: variance, count }) {
+        const stats = new RunningMeanStd(mean.length);
+        stats.mean = [...mean];
+        stats.var = [...variance];
+        stats.count = count;
+        return stats;
+    }
+}
+
+// Divides rewards by the running std of the discounted return, so the critic's targets stay near unit scale
+// whatever PROGRESS_WEIGHT is (rewards are not shifted, which would change the task)
+export class RewardScaler {
+    constructor() {
+        this.returnStats = new RunningMeanStd(1);
+        this.discountedReturn = 0;
+    }
+    
+    // Feed one car's rewards in order, then reset() before the next car's (or resume() one's unfinished episode)
+    observe(reward, gamma) {
+        this.discountedReturn = this.discountedReturn * gamma + reward;
+        this.returnStats.update([[this.discountedReturn]]);
+    }
+    
+    reset() {
+        this.discountedReturn = 0;
+    }
+    
+    resume(discountedReturn) {
+        this.discountedReturn = discountedReturn;
+    }
+    
+    // Current divisor (critic values are in reward / scale units)
+    get scale() {
+        return Math.sqrt(this.returnStats.var[0] + EPSILON);
+    }
+    
+    toJSON() {
+        return { returnStats: this.returnStats.toJSON() };
+    }
+    
+    static fromJSON({ returnStats }) {
+        const scaler = new RewardScaler();
+        scaler.returnStats = RunningMeanStd.fromJSON(returnStats);
+        return scaler;
+    }
+}
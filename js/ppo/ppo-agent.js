@@ -1,18 +1,52 @@
 // PPO Agent - Proximal Policy Optimization
 // Uses SEPARATE networks for actor and critic (as recommended by PPO paper for continuous control)
 // This means VALUE_COEF is irrelevant - each network is trained independently!
+// (Except with SHARED_TRUNK, where one loss trains both heads and VALUE_COEF weighs the value error)
+// A recurrent policy (RECURRENT.TYPE) trains on sequence minibatches, unrolled from each sequence's stored memory
 
-import { ActorCritic } from './actor-critic.js';
+import { ActorCritic, DEFAULT_NETWORK, networkSpec } from './actor-critic.js';
 import { ExperienceBuffer } from './experience-buffer.js';
 import { CONFIG } from '../config.js';
+import { getScheduledValues } from './schedules.js';
+import { RunningMeanStd, RewardScaler } from './normalizer.js';
+import { average } from '../utils.js';
+import {
+    CHECKPOINT_FORMAT, CHECKPOINT_VERSION,
+    encodeOptimizer, decodeOptimizer, validateCheckpoint
+} from './checkpoint.js';
 
 export class PPOAgent {
-    constructor() {
+    // Architecture defaults to CONFIG.PPO; checkpoints pass their own so the rebuilt agent matches
+    constructor({
+        inputDim = CONFIG.PPO.INPUT_DIM,
+        actionDim = CONFIG.PPO.ACTION_DIM,
+        hiddenUnits = CONFIG.PPO.HIDDEN_UNITS,
+        actorNetwork = networkSpec(CONFIG.PPO.ACTOR_NETWORK, hiddenUnits),
+        criticNetwork = networkSpec(CONFIG.PPO.CRITIC_NETWORK, hiddenUnits),
+        sharedTrunk = CONFIG.PPO.SHARED_TRUNK,
+        distribution = CONFIG.PPO.ACTION_DISTRIBUTION,
+        stateDependentStd = CONFIG.PPO.STATE_DEPENDENT_STD,
+        recurrent = { type: CONFIG.PPO.RECURRENT.TYPE, units: CONFIG.PPO.RECURRENT.UNITS },
+    } = {}) {
         const ppo = CONFIG.PPO;
         
-        this.model = new ActorCritic(ppo.INPUT_DIM, ppo.ACTION_DIM, ppo.HIDDEN_UNITS);
+        this.architecture = completeArchitecture({
+            inputDim, actionDim, hiddenUnits, actorNetwork, criticNetwork, sharedTrunk, distribution, stateDependentStd, recurrent
+        });
+        this.model = new ActorCritic(inputDim, actionDim, hiddenUnits, {
+            actor: this.architecture.actorNetwork,
+            critic: this.architecture.criticNetwork,
+            sharedTrunk,
+            distribution,
+            stateDependentStd,
+            recurrent: this.architecture.recurrent,
+        });
         this.buffer = new ExperienceBuffer();
         
+        // Opt-in running normalizers (a loaded checkpoint brings its own)
+        this.obsNormalizer = ppo.NORMALIZE_OBSERVATIONS ? new RunningMeanStd(inputDim) : null;
+        this.rewardScaler = ppo.NORMALIZE_REWARDS ? new RewardScaler() : null;
+        
         // SEPARATE optimizers for actor and critic (as paper recommends)
         this.actorOptimizer = tf.train.adam(ppo.LEARNING_RATE);
         this.criticOptimizer = tf.train.adam(ppo.LEARNING_RATE);
@@ -23,157 +57,519 @@ export class PPOAgent {
         this.episodeCount = 0;
         this.isUpdating = false;
         this.lastLoss = { policy: 0, value: 0, entropy: 0, total: 0 };
+        this.lastDiagnostics = null;
+        this.applySchedules();
     }
     
     // Get action for a single state
-    act(state) {
-        return this.model.act(state);
+    act(state, recurrentState = null) {
+        return this.actBatch([state], [recurrentState])[0];
+    }
+    
+    // Get actions for many states at once (one forward pass per network)
+    // recurrentStates: each car's memory from its previous decision's nextRecurrentState (null = new episode)
+    // Each result's `observation` is the network input (normalized state) - store that, not the raw state -
+    // and `policyVersion` the update count of the weights that decided (store it too)
+    actBatch(states, recurrentStates = null) {
+        if (this.obsNormalizer) {
+            this.obsNormalizer.update(states);
+        }
+        const observations = this._normalize(states);
+        return this.model.actBatch(observations, recurrentStates)
+            .map((decision, i) => ({ ...decision, observation: observations[i], policyVersion: this.updateCount }));
     }
     
     // Get value for bootstrapping
-    getValue(state) {
-        return this.model.getValue(state);
+    getValue(state, recurrentState = null) {
+        return this.getValues([state], [recurrentState])[0];
     }
     
-    // Store experience
-    store(state, action, reward, value, logProb, done) {
-        this.buffer.add(state, action, reward, value, logProb, done);
+    // Get values for many states at once (in reward-scaled units, see getRewardScale)
+    getValues(states, recurrentStates = null) {
+        return this.model.getValues(this._normalize(states), recurrentStates);
+    }
+    
+    // Whether the policy carries memory between steps (CONFIG.PPO.RECURRENT)
+    get isRecurrent() {
+        return this.model.recurrentStateSize > 0;
+    }
+    
+    // Raw rewards are divided by this before training, so value × scale is in raw reward units
+    getRewardScale() {
+        return this.rewardScaler ? this.rewardScaler.scale : 1;
+    }
+    
+    _normalize(states) {
+        if (!this.obsNormalizer) return states;
+        return states.map(s => this.obsNormalizer.normalize(s, CONFIG.PPO.OBS_CLIP));
+    }
+    
+    // Store one step of experience (a car's steps go in order, then endSegment)
+    // recurrentState, policyVersion: from the decision (the memory it acted from, the weights that made it)
+    store(state, action, reward, value, logProb, recurrentState = null, policyVersion = this.updateCount) {
+        this.buffer.add(state, action, reward, value, logProb, recurrentState, policyVersion);
         this.totalSteps++;
-        if (done) {
+    }
+    
+    /**
+     * Close the steps stored since the last call (one car's contiguous trajectory)
+     * @param {Object} end
+     * @param {boolean} [end.terminated] - Crashed or finished the lap: no future reward
+     * @param {boolean} [end.truncated] - Cut short by the time limit or the rollout horizon
+     * @param {number} [end.bootstrapValue] - getValue() of the state after the last step (used when truncated)
+     * @param {boolean} [end.episodeEnded] - Counts toward MIN_EPISODES_FOR_UPDATE (false for a horizon cut; the car drives on)
+     * @param {number} [end.discountedReturn] - Reward normalization's running return at the start of the segment
+     *   (what endSegment returned for the episode's previous segment, else 0)
+     * @returns {number} Running return to pass with the episode's next segment (0 once the episode has ended)
+     */
+    endSegment({
+        terminated = false, truncated = false, bootstrapValue = 0, episodeEnded = terminated || truncated, discountedReturn = 0,
+    } = {}) {
+        const start = this.buffer.segmentStart;
+        this.buffer.endSegment({ terminated, truncated, bootstrapValue });
+        if (episodeEnded) {
             this.episodeCount++;
         }
+        if (!this.rewardScaler) return 0;
+        
+        // Rewards are observed per segment, so a car's return runs on across a horizon cut
+        // instead of picking up where the previously flushed car left off
+        this.rewardScaler.resume(discountedReturn);
+        for (const reward of this.buffer.rewards.slice(start)) {
+            this.rewardScaler.observe(reward, CONFIG.PPO.GAMMA);
+        }
+        if (!episodeEnded) return this.rewardScaler.discountedReturn;
+        
+        this.rewardScaler.reset();
+        return 0;
     }
     
-    // Check if ready for update
+    // Check if ready for update (episode-count rollouts; see CONFIG.PPO.ROLLOUT_MODE)
     shouldUpdate() {
         return this.episodeCount >= CONFIG.PPO.MIN_EPISODES_FOR_UPDATE;
     }
     
-    // Perform PPO update
-    async update(lastValues) {
+    // Perform PPO update on the stored segments (every segment must be closed with endSegment)
+    // rewardScale: reward normalization divisor (a learner worker is given the acting agent's)
+    async update({ rewardScale = this.getRewardScale() } = {}) {
         this.isUpdating = true;
-        const ppo = CONFIG.PPO;
-        
-        // Compute returns and advantages
-        const lastValue = Array.isArray(lastValues) 
-            ? lastValues.reduce((a, b) => a + b, 0) / lastValues.length 
-            : lastValues;
-        
-        this.buffer.computeReturnsAndAdvantages(lastValue, ppo.GAMMA, ppo.GAE_LAMBDA);
-        
-        // Multiple epochs over the data
-        const subsampleRatio = ppo.SUBSAMPLE_RATIO || 1;
-        for (let epoch = 0; epoch < ppo.EPOCHS_PER_UPDATE; epoch++) {
-            const batches = this.buffer.getBatches(ppo.BATCH_SIZE, subsampleRatio);
+        try {
+            const ppo = CONFIG.PPO;
+            
+            // Compute returns and advantages
+            this.buffer.computeReturnsAndAdvantages(ppo.GAMMA, ppo.GAE_LAMBDA, rewardScale);
+            
+            // Updates behind the weights being trained the data was collected with
+            // (0 on the main thread; about 1 with a learner worker, since the cars drive on while it trains)
+            const policyLag = average(this.buffer.policyVersions.map(version => this.updateCount - version));
+            
+            // Learning rate, clip ε and entropy coef for this update
+            const hyperparams = this.applySchedules();
+            
+            // Weights before the update, to measure how far it moved them
+            const actorBefore = this._snapshot(this._actorVariables());
+            const criticBefore = this._snapshot(this._criticVariables());
+            
+            // Actor: multiple epochs over the data; every minibatch's stats are averaged
+            // With TARGET_KL set, stop as soon as a minibatch shows the policy has drifted too far from where this
+            // update started (the first minibatch always trains: nothing has moved yet)
+            // A shared trunk trains actor and critic together here, with the actor's epochs and batch size
+            const actorStats = [];
+            const criticStats = [];
+            const measuredKL = [];  // Every minibatch's approx KL, including one that stopped the update
+            const shared = this.model.sharedTrunk;
+            const subsampleRatio = ppo.SUBSAMPLE_RATIO || 1;
+            // Recurrent: whole sequences instead of shuffled steps (SUBSAMPLE_RATIO would break them up)
+            const getBatches = batchSize => this.isRecurrent
+                ? this.buffer.getSequenceBatches(ppo.RECURRENT.SEQUENCE_LENGTH, batchSize)
+                : this.buffer.getBatches(batchSize, subsampleRatio);
+            let epochsRun = 0;
+            let stoppedEarly = false;
+            for (let epoch = 0; epoch < ppo.EPOCHS_PER_UPDATE && !stoppedEarly; epoch++) {
+                const batches = getBatches(ppo.BATCH_SIZE);
+                epochsRun++;
             
-            for (const batch of batches) {
-                await this._updateBatch(batch);
+                for (const batch of batches) {
+                    // Before the first step the weights still are the start weights
+                    const startWeights = actorStats.length > 0 ? actorBefore : null;
+                    const result = shared
+                        ? await this._updateSharedBatch(batch, hyperparams, startWeights)
+                        : await this._updateActorBatch(batch, hyperparams, startWeights);
+                    measuredKL.push(shared ? result.actor.approxKL : result.approxKL);
+                    if (result.stopped) {
+                        stoppedEarly = true;
+                        break;
+                    }
+                    if (shared) {
+                        actorStats.push(result.actor);
+                        criticStats.push(result.critic);
+                    } else {
+                        actorStats.push(result);
+                    }
+                }
             }
+            
+            // Critic: its own epochs and batch size (0 = same as the actor); not affected by TARGET_KL
+            const criticEpochs = shared ? 0 : ppo.CRITIC_EPOCHS || ppo.EPOCHS_PER_UPDATE;
+            const criticBatchSize = ppo.CRITIC_BATCH_SIZE || ppo.BATCH_SIZE;
+            for (let epoch = 0; epoch < criticEpochs; epoch++) {
+                for (const batch of getBatches(criticBatchSize)) {
+                    criticStats.push(await this._updateCriticBatch(batch));
+                }
+            }
+            
+            const mean = (stats, key) => stats.length > 0 ? average(stats.map(s => s[key])) : 0;
+            this.lastLoss = {
+                policy: mean(actorStats, 'policyLoss'),
+                value: mean(criticStats, 'valueLoss'),
+                entropy: mean(actorStats, 'entropy'),
+                total: mean(actorStats, 'policyLoss') + mean(criticStats, 'valueLoss'),
+            };
+            this.lastDiagnostics = {
+                approxKL: measuredKL.length > 0 ? average(measuredKL) : 0,
+                clipFraction: mean(actorStats, 'clipFraction'),
+                explainedVariance: mean(criticStats, 'explainedVariance'),
+                gradNorm: { actor: mean(actorStats, 'gradNorm'), critic: mean(criticStats, 'gradNorm') },
+                paramChange: {
+                    actor: this._distance(actorBefore, this._actorVariables()),
+                    critic: this._distance(criticBefore, this._criticVariables()),
+                },
+                minibatches: actorStats.length,
+                skipped: actorStats.length === 0,  // No actor minibatch trained (buffer under half a batch)
+                epochs: epochsRun,
+                stoppedEarly,
+                policyLag,
+            };
+            tf.dispose([actorBefore, criticBefore]);
+            
+            this.updateCount++;
+            
+            // Get stats before clearing
+            const stats = { ...this.buffer.getStats(), episodes: this.episodeCount };
+            const avgMCReturn = this.buffer.lastAvgMCReturn || 0;
+            
+            // Clear buffer and reset episode count
+            this.buffer.clear();
+            this.episodeCount = 0;
+            
+            return {
+                updateCount: this.updateCount,
+                ...stats,
+                loss: this.lastLoss,
+                diagnostics: this.lastDiagnostics,
+                hyperparams,
+                avgMCReturn
+            };
+        } finally {
+            this.isUpdating = false;  // Also after a throw, so a later update or checkpoint load is not refused
         }
+    }
+    
+    // One actor gradient step on a minibatch (clipped surrogate objective + entropy bonus)
+    // Returns losses and diagnostics measured on this minibatch (before the step), with `stopped` set
+    // (and no step taken) if its approx KL is already past TARGET_KL
+    // startWeights: actor weights at the start of the update (null = not moved yet), see _startLogProbs
+    async _updateActorBatch(batch, hyperparams, startWeights) {
+        const tensors = this._batchTensors(batch);
+        tensors.startLogProbs = this._startLogProbs(batch, tensors, startWeights);
+        let stats = null;
         
-        this.updateCount++;
+        const actorStep = this.actorOptimizer.computeGradients(() => {
+            const inputs = this.model.encode(tensors.states, tensors.initialStates);
+            const objective = this._policyObjective(inputs.actor, tensors, hyperparams);
+            stats = objective.stats;
+            return objective.loss;
+        }, this._actorVariables());
         
-        // Get stats before clearing
-        const stats = this.buffer.getStats();
-        const avgMCReturn = this.buffer.lastAvgMCReturn || 0;
+        const stop = startWeights !== null && this._pastTargetKL(stats);  // The first minibatch always trains
+        const gradNorm = stop ? 0 : this._globalNorm(actorStep.grads);
+        if (!stop) {
+            this.actorOptimizer.applyGradients(actorStep.grads);
+            this.model.clampLogStd();
+        }
         
-        // Clear buffer and reset episode count
-        this.buffer.clear();
-        this.episodeCount = 0;
-        this.isUpdating = false;
+        // Cleanup
+        tf.dispose([actorStep, tensors]);
+        
+        return { ...stats, gradNorm, stopped: stop };
+    }
+    
+    // One critic gradient step on a minibatch, loss per CONFIG.PPO.CRITIC_LOSS
+    // Returns the loss and diagnostics measured on this minibatch (before the step)
+    async _updateCriticBatch(batch) {
+        const tensors = this._batchTensors(batch);
+        let stats = null;
+        
+        const criticStep = this.criticOptimizer.computeGradients(() => {
+            const inputs = this.model.encode(tensors.states, tensors.initialStates);
+            const objective = this._valueObjective(inputs.critic, tensors);
+            stats = objective.stats;
+            return objective.loss;
+        }, this._criticVariables());
+        
+        const gradNorm = this._globalNorm(criticStep.grads);
+        this.criticOptimizer.applyGradients(criticStep.grads);
+        
+        // Cleanup
+        tf.dispose([criticStep, tensors]);
+        
+        return { ...stats, gradNorm };
+    }
+    
+    // One gradient step on a minibatch for a shared trunk: actor loss + VALUE_COEF × critic loss
+    // Returns { actor, critic, stopped } stats like the two functions above (both with the combined gradient norm)
+    async _updateSharedBatch(batch, hyperparams, startWeights) {
+        const tensors = this._batchTensors(batch);
+        tensors.startLogProbs = this._startLogProbs(batch, tensors, startWeights);
+        let actorStats = null;
+        let criticStats = null;
+        
+        const step = this.actorOptimizer.computeGradients(() => {
+            const inputs = this.model.encode(tensors.states, tensors.initialStates);
+            const policy = this._policyObjective(inputs.actor, tensors, hyperparams);
+            const value = this._valueObjective(inputs.critic, tensors);
+            actorStats = policy.stats;
+            criticStats = value.stats;
+            return tf.add(policy.loss, tf.mul(CONFIG.PPO.VALUE_COEF, value.loss));
+        }, this._sharedVariables());
         
+        const stop = startWeights !== null && this._pastTargetKL(actorStats);
+        const gradNorm = stop ? 0 : this._globalNorm(step.grads);
+        if (!stop) {
+            this.actorOptimizer.applyGradients(step.grads);
+            this.model.clampLogStd();
+        }
+        
+        // Cleanup
+        tf.dispose([step, tensors]);
+        
+        return { actor: { ...actorStats, gradNorm }, critic: { ...criticStats, gradNorm }, stopped: stop };
+    }
+    
+    // Log-probs of a minibatch's actions under the policy at the start of the update, which TARGET_KL limits
+    // Steps tagged with this update count were collected by exactly that policy, so their stored logProbs do.
+    // Steps from older weights (cars drive on through an update) get the batch re-evaluated, with the start
+    // weights swapped in if training has moved them (startWeights null: it hasn't)
+    _startLogProbs(batch, tensors, startWeights) {
+        const stale = batch.policyVersions.some(version => version !== null && version < this.updateCount);
+        if (!stale) return tf.clone(tensors.oldLogProbs);
+        
+        const variables = startWeights ? this._actorVariables() : [];
+        const current = this._snapshot(variables);
+        variables.forEach((v, i) => v.assign(startWeights[i]));
+        const logProbs = tf.tidy(() => {
+            const inputs = this.model.encode(tensors.states, tensors.initialStates);
+            return this.model.computeLogProb(this.model.policy(inputs.actor), tensors.actions);
+        });
+        variables.forEach((v, i) => v.assign(current[i]));
+        tf.dispose(current);
+        return logProbs;
+    }
+    
+    // Sequence batches (recurrent) also carry each sequence's starting memory and a mask that is 0 on padding
+    _batchTensors(batch) {
+        const sequences = batch.initialStates !== undefined;
         return {
-            updateCount: this.updateCount,
-            ...stats,
-            loss: this.lastLoss,
-            gradientsWorking: this.gradientsWorking,
-            weightDiff: this.lastWeightDiff,
-            avgMCReturn
+            states: sequences ? tf.tensor3d(batch.states) : tf.tensor2d(batch.states),
+            initialStates: sequences ? this.model.recurrentTensor(batch.initialStates, batch.initialStates.length) : null,
+            mask: sequences ? tf.tensor1d(batch.mask) : null,
+            actions: tf.tensor2d(batch.actions),
+            advantages: tf.tensor1d(batch.advantages),
+            oldLogProbs: tf.tensor1d(batch.oldLogProbs),
+            returns: tf.tensor1d(batch.returns),
+            oldValues: tf.tensor1d(batch.oldValues),
         };
     }
     
-    async _updateBatch(batch) {
-        const ppo = CONFIG.PPO;
-        
-        // Convert batch to tensors
-        const states = tf.tensor2d(batch.states);
-        const actions = tf.tensor2d(batch.actions);
-        const returns = tf.tensor1d(batch.returns);
-        const advantages = tf.tensor1d(batch.advantages);
-        const oldLogProbs = tf.tensor1d(batch.oldLogProbs);
+    // Clipped surrogate objective + entropy bonus (call inside computeGradients)
+    // inputs: actor inputs from ActorCritic.encode
+    // Returns { loss, stats: { policyLoss, entropy, approxKL, clipFraction } }
+    _policyObjective(inputs, { actions, advantages, oldLogProbs, startLogProbs, mask }, { clipEpsilon, entropyCoef }) {
+        const policy = this.model.policy(inputs);
+        const newLogProbs = this.model.computeLogProb(policy, actions);
         
-        // ===== UPDATE ACTOR =====
-        // Policy optimization with clipped surrogate objective
-        const actorWeights = [...this.model.getActorTrainableWeights().map(w => w.read()), this.model.logStd];
+        const logRatio = tf.sub(newLogProbs, oldLogProbs);
+        const ratio = tf.exp(logRatio);
+        const surr1 = tf.mul(ratio, advantages);
+        const clippedRatio = tf.clipByValue(ratio, 1 - clipEpsilon, 1 + clipEpsilon);
+        const surr2 = tf.mul(clippedRatio, advantages);
+        const policyLoss = tf.neg(this._mean(tf.minimum(surr1, surr2), mask));
+        const entropyTensor = this._mean(this.model.getEntropyPerSample(policy), mask);
         
-        let policyLossVal = 0;
-        let entropyVal = 0;
+        // Actor loss: -surrogate + entropy_bonus (maximizing entropy)
+        const loss = tf.sub(policyLoss, tf.mul(entropyCoef, entropyTensor));
         
-        this.actorOptimizer.minimize(() => {
-            const meanTensor = this.model.actorModel.predict(states);
-            const newLogProbs = this.model.computeLogProb(meanTensor, actions);
-            
-            const ratio = tf.exp(tf.sub(newLogProbs, oldLogProbs));
-            const surr1 = tf.mul(ratio, advantages);
-            const clippedRatio = tf.clipByValue(ratio, 1 - ppo.CLIP_EPSILON, 1 + ppo.CLIP_EPSILON);
-            const surr2 = tf.mul(clippedRatio, advantages);
-            const policyLoss = tf.neg(tf.mean(tf.minimum(surr1, surr2)));
-            const entropyTensor = this.model.getEntropyTensor();
-            
-            // Actor loss: -surrogate + entropy_bonus (maximizing entropy)
-            const actorLoss = tf.sub(policyLoss, tf.mul(ppo.ENTROPY_COEF, entropyTensor));
-            
-            policyLossVal = policyLoss.dataSync()[0];
-            entropyVal = entropyTensor.dataSync()[0];
-            
-            return actorLoss;
-        }, true, actorWeights);
+        return {
+            loss,
+            stats: {
+                policyLoss: policyLoss.dataSync()[0],
+                entropy: entropyTensor.dataSync()[0],
+                // KL(start || new) estimate (r - 1) - log r against the policy this update started from
+                // (oldLogProbs can be older): unbiased and never negative
+                approxKL: this._approxKL(tf.sub(newLogProbs, startLogProbs), mask),
+                clipFraction: this._mean(tf.cast(tf.greater(tf.abs(tf.sub(ratio, 1)), clipEpsilon), 'float32'), mask).dataSync()[0],
+            },
+        };
+    }
+    
+    // Critic loss per CONFIG.PPO.CRITIC_LOSS (call inside computeGradients)
+    // inputs: critic inputs from ActorCritic.encode
+    // Returns { loss, stats: { valueLoss, explainedVariance } }
+    _valueObjective(inputs, { returns, oldValues, mask }) {
+        const valueTensor = tf.squeeze(this.model.criticModel.predict(inputs), -1);
+        const loss = this._criticLoss(valueTensor, returns, oldValues, mask);
         
-        // ===== UPDATE CRITIC =====
-        // Value function optimization with MSE loss
-        const criticWeights = this.model.getCriticTrainableWeights().map(w => w.read());
+        // 1 - Var(returns - V) / Var(returns): 1 = perfect, 0 = no better than a constant
+        const variance = x => {
+            const mean = this._mean(x, mask);
+            return this._mean(tf.square(tf.sub(x, mean)), mask).dataSync()[0];
+        };
+        const returnVariance = variance(returns);
+        const residualVariance = variance(tf.sub(returns, valueTensor));
         
-        let valueLossVal = 0;
+        return {
+            loss,
+            stats: {
+                valueLoss: loss.dataSync()[0],
+                explainedVariance: returnVariance > 1e-8 ? 1 - residualVariance / returnVariance : 0,
+            },
+        };
+    }
+    
+    // Mean over a minibatch, leaving out padding where a mask is given (sequence batches)
+    _mean(x, mask) {
+        if (!mask) return tf.mean(x);
+        return tf.div(tf.sum(tf.mul(x, mask)), tf.maximum(tf.sum(mask), 1));
+    }
+    
+    _approxKL(logRatio, mask) {
+        return this._mean(tf.sub(tf.sub(tf.exp(logRatio), 1), logRatio), mask).dataSync()[0];
+    }
+    
+    _pastTargetKL({ approxKL }) {
+        const targetKL = CONFIG.PPO.TARGET_KL;
+        return targetKL > 0 && approxKL > targetKL;
+    }
+    
+    // Critic loss against Monte Carlo returns:
+    //   'mse'     - mean squared error
+    //   'clipped' - PPO2-style: max of the squared errors of the new prediction and of the prediction
+    //               kept within VALUE_CLIP of the rollout's value, so one batch can't move V far
+    //   'huber'   - squared within HUBER_DELTA of the return, linear beyond, so huge returns don't blow up gradients
+    // mask: 0 on sequence padding (null = every sample counts)
+    _criticLoss(values, returns, oldValues, mask = null) {
+        const ppo = CONFIG.PPO;
         
-        this.criticOptimizer.minimize(() => {
-            const valueTensor = tf.squeeze(this.model.criticModel.predict(states), -1);
-            const valueLoss = tf.mean(tf.square(tf.sub(valueTensor, returns)));
-            
-            valueLossVal = valueLoss.dataSync()[0];
-            
-            return valueLoss;
-        }, true, criticWeights);
-        
-        // Clamp logStd to reasonable range
-        const clampedLogStd = tf.clipByValue(this.model.logStd, -3, 1);
-        this.model.logStd.assign(clampedLogStd);
-        clampedLogStd.dispose();
-        
-        // Check if weights changed
-        this.gradientsWorking = true;  // Simplified check
-        this.lastWeightDiff = 0.001;
-        
-        // Store loss for logging
-        this.lastLoss = {
-            policy: policyLossVal,
-            value: valueLossVal,
-            entropy: entropyVal,
-            total: policyLossVal + valueLossVal
+        switch (ppo.CRITIC_LOSS) {
+            case 'mse':
+                return this._mean(tf.square(tf.sub(values, returns)), mask);
+            case 'clipped': {
+                const clippedValues = tf.add(oldValues, tf.clipByValue(tf.sub(values, oldValues), -ppo.VALUE_CLIP, ppo.VALUE_CLIP));
+                return this._mean(tf.maximum(
+                    tf.square(tf.sub(values, returns)),
+                    tf.square(tf.sub(clippedValues, returns))
+                ), mask);
+            }
+            case 'huber':
+                return tf.losses.huberLoss(returns, values, mask ?? undefined, ppo.HUBER_DELTA);
+            default:
+                throw new Error(`Unknown CRITIC_LOSS "${ppo.CRITIC_LOSS}" (expected "mse", "clipped" or "huber")`);
+        }
+    }
+    
+    _actorVariables() {
+        return this.model.getActorVariables();
+    }
+    
+    _criticVariables() {
+        return this.model.getCriticVariables();
+    }
+    
+    // Actor and critic variables once each (a shared trunk is in both)
+    _sharedVariables() {
+        return [...new Set([...this._actorVariables(), ...this._criticVariables()])];
+    }
+    
+    // L2 norm over all gradient tensors together
+    _globalNorm(grads) {
+        return tf.tidy(() => {
+            const squares = Object.values(grads).map(g => tf.sum(tf.square(g)));
+            return Math.sqrt(tf.addN(squares).dataSync()[0]);
+        });
+    }
+    
+    _snapshot(variables) {
+        return variables.map(v => tf.clone(v));
+    }
+    
+    // L2 distance between a snapshot and the current variables
+    _distance(snapshot, variables) {
+        return tf.tidy(() => {
+            const squares = variables.map((v, i) => tf.sum(tf.square(tf.sub(v, snapshot[i]))));
+            return Math.sqrt(tf.addN(squares).dataSync()[0]);
+        });
+    }
+    
+    // Change both Adam optimizers' step size in place (moment estimates are kept)
+    setLearningRate(learningRate) {
+        this.actorOptimizer.learningRate = learningRate;
+        this.criticOptimizer.learningRate = learningRate;
+    }
+    
+    // Evaluate CONFIG.PPO.SCHEDULES at the current step/update count and push the learning rate
+    // Called before every update; call it after changing a base setting to apply it right away
+    applySchedules() {
+        this.hyperparams = getScheduledValues({ totalSteps: this.totalSteps, updateCount: this.updateCount });
+        this.setLearningRate(this.hyperparams.learningRate);
+        return this.hyperparams;
+    }
+    
+    // Hand the collected experience to a learner worker (see learner.js) and start a fresh buffer
+    // Returns plain data for postMessage; the learner's agent trains on it with trainOn()
+    takeRollout() {
+        const rollout = {
+            experience: this.buffer.toJSON(),
+            episodes: this.episodeCount,
+            totalSteps: this.totalSteps,
+            rewardScale: this.getRewardScale(),
         };
+        this.buffer = new ExperienceBuffer();
+        this.episodeCount = 0;
+        return rollout;
+    }
+    
+    // Learner side of takeRollout(): update() on the handed-over experience
+    async trainOn({ experience, episodes, totalSteps, rewardScale }) {
+        this.buffer = ExperienceBuffer.fromJSON(experience);
+        this.episodeCount = episodes;
+        this.totalSteps = totalSteps;
+        return this.update({ rewardScale });
+    }
+    
+    // Acting side of trainOn(): take the new weights and optimizer state from the learner's checkpoint
+    // Keeps this agent's normalizers, buffer and step count, which moved on while the learner trained
+    async adoptUpdate(stats, checkpoint) {
+        this.model.setWeightData(checkpoint.weights);
+        await decodeOptimizer(this.actorOptimizer, checkpoint.optimizers.actor);
+        await decodeOptimizer(this.criticOptimizer, checkpoint.optimizers.critic);
         
-        // Cleanup
-        states.dispose();
-        actions.dispose();
-        returns.dispose();
-        advantages.dispose();
-        oldLogProbs.dispose();
+        this.updateCount = stats.updateCount;
+        this.lastLoss = stats.loss;
+        this.lastDiagnostics = stats.diagnostics;
+        this.hyperparams = stats.hyperparams;
+        this.setLearningRate(stats.hyperparams.learningRate);
     }
     
-    // Get current policy's log std
+    // Get current policy's log std (state-dependent: fleet average over the last actBatch)
     getLogStd() {
         return this.model.getLogStdValues();
     }
     
+    // Fleet-average std per action dimension (what "explore %" shows)
+    getStd() {
+        return this.model.getStdValues();
+    }
+    
     // Get training statistics
     getStats() {
         return {
@@ -183,11 +579,72 @@ export class PPOAgent {
             episodeCount: this.episodeCount,
             minEpisodes: CONFIG.PPO.MIN_EPISODES_FOR_UPDATE,
             lastLoss: this.lastLoss,
+            lastDiagnostics: this.lastDiagnostics,
+            hyperparams: this.hyperparams,
             logStd: this.getLogStd(),
+            std: this.getStd(),
             isUpdating: this.isUpdating
         };
     }
     
+    // Serialize networks, logStd, optimizer state and counters into a plain object
+    async getCheckpoint() {
+        return {
+            format: CHECKPOINT_FORMAT,
+            version: CHECKPOINT_VERSION,
+            createdAt: new Date().toISOString(),
+            architecture: this.architecture,
+            counters: {
+                updateCount: this.updateCount,
+                totalSteps: this.totalSteps,
+            },
+            weights: this.model.getWeightData(),
+            normalizers: {
+                observations: this.obsNormalizer?.toJSON() ?? null,
+                rewards: this.rewardScaler?.toJSON() ?? null,
+            },
+            optimizers: {
+                actor: await encodeOptimizer(this.actorOptimizer),
+                critic: await encodeOptimizer(this.criticOptimizer),
+            },
+        };
+    }
+    
+    // Restore state from getCheckpoint() output into this agent
+    // Clears any collected experience, since it came from a different policy
+    async loadCheckpoint(checkpoint) {
+        validateCheckpoint(checkpoint);
+        
+        const arch = completeArchitecture(checkpoint.architecture);
+        if (JSON.stringify(arch) !== JSON.stringify(this.architecture)) {
+            throw new Error(`Checkpoint architecture ${JSON.stringify(arch)} does not match agent ${JSON.stringify(this.architecture)}`);
+        }
+        
+        this.model.setWeightData(checkpoint.weights);
+        
+        // The weights only make sense with the statistics they were trained with (version 1 had none)
+        const normalizers = checkpoint.normalizers ?? {};
+        this.obsNormalizer = normalizers.observations ? RunningMeanStd.fromJSON(normalizers.observations) : null;
+        this.rewardScaler = normalizers.rewards ? RewardScaler.fromJSON(normalizers.rewards) : null;
+        
+        await decodeOptimizer(this.actorOptimizer, checkpoint.optimizers.actor);
+        await decodeOptimizer(this.criticOptimizer, checkpoint.optimizers.critic);
+        
+        this.updateCount = checkpoint.counters.updateCount;
+        this.totalSteps = checkpoint.counters.totalSteps;
+        this.buffer.clear();
+        this.episodeCount = 0;
+        this.applySchedules();
+    }
+    
+    // Build a new agent identical to the one that produced the checkpoint
+    static async fromCheckpoint(checkpoint) {
+        validateCheckpoint(checkpoint);
+        const agent = new PPOAgent(completeArchitecture(checkpoint.architecture));
+        await agent.loadCheckpoint(checkpoint);
+        return agent;
+    }
+    
     // Pretrain with behavioral cloning
     async pretrain() {
         await this.model.pretrain();
@@ -198,5 +655,32 @@ export class PPOAgent {
         if (this.model) {
             this.model.dispose();
         }
+        this.actorOptimizer.dispose();
+        this.criticOptimizer.dispose();
     }
 }
+
+// Architecture with every field, in a fixed order (so two can be compared as JSON)
+// Fields older checkpoints lack get the values those agents were built with
+function completeArchitecture(arch) {
+    const legacyNetwork = { ...DEFAULT_NETWORK, hiddenUnits: arch.hiddenUnits };
+    const network = spec => {
+        const { hiddenUnits, activation, layerNorm, init, gain, outputGain } = { ...legacyNetwork, ...spec };
+        const gains = init === 'orthogonal' ? { gain, outputGain } : { gain: null, outputGain: null };
+        return { hiddenUnits: [...hiddenUnits], activation, layerNorm, init, ...gains };
+    };
+    
+    return {
+        inputDim: arch.inputDim,
+        actionDim: arch.actionDim,
+        hiddenUnits: [...arch.hiddenUnits],
+        actorNetwork: network(arch.actorNetwork),
+        criticNetwork: network(arch.criticNetwork),
+        sharedTrunk: arch.sharedTrunk ?? false,
+        distribution: arch.distribution ?? 'clipped',
+        stateDependentStd: arch.stateDependentStd ?? false,
+        recurrent: arch.recurrent && arch.recurrent.type !== 'none'
+            ? { type: arch.recurrent.type, units: arch.recurrent.units }
+            : { type: 'none', units: 0 },
+    };
+}
@@ -0,0 +1,116 @@
+// Recurrent cells (GRU / LSTM) for the recurrent policy option (CONFIG.PPO.RECURRENT)
+// Plain tf ops rather than tf.layers RNNs, so the same weights can be stepped once per car while driving
+// and unrolled over stored sequences (from each sequence's saved state) for truncated BPTT
+
+import { encodeTensor, decodeTensor } from './checkpoint.js';
+import { tfSeed } from '../rng.js';
+
+export const RECURRENT_TYPES = ['none', 'gru', 'lstm'];
+
+export class RecurrentCell {
+    /**
+     * @param {string} type - 'gru' or 'lstm'
+     * @param {number} inputDim - Features per step
+     * @param {number} units - Size of the output (and of h; LSTM also carries a cell state c of the same size)
+     * @param {string} name - Variable name prefix
+     * @throws {Error} On an unknown type
+     */
+    constructor(type, inputDim, units, name) {
+        if (type !== 'gru' && type !== 'lstm') {
+            throw new Error(`Unknown recurrent type "${type}" (expected one of ${RECURRENT_TYPES.join(', ')})`);
+        }
+        this.type = type;
+        this.units = units;
+        
+        // Gates side by side: GRU [update z | reset r | candidate], LSTM [input | forget | candidate | output]
+        const gates = type === 'gru' ? 3 : 4;
+        const variable = (initial, suffix) => {
+            const v = tf.variable(initial, true, `${name}_${suffix}`);
+            initial.dispose();
+            return v;
+        };
+        this.kernel = variable(
+            tf.initializers.glorotUniform({ seed: tfSeed('init') }).apply([inputDim, gates * units]), 'kernel');
+        this.recurrentKernel = variable(
+            tf.initializers.orthogonal({ seed: tfSeed('init') }).apply([units, gates * units]), 'recurrent');
+        
+        // LSTM forget gate starts open (bias 1) so early gradients reach back through time
+        const bias = new Array(gates * units).fill(0);
+        if (type === 'lstm') bias.fill(1, units, 2 * units);
+        this.bias = variable(tf.tensor1d(bias), 'bias');
+    }
+    
+    // Numbers per car carried between steps: h (GRU) or h and c side by side (LSTM)
+    get stateSize() {
+        return this.type === 'lstm' ? 2 * this.units : this.units;
+    }
+    
+    get variables() {
+        return [this.kernel, this.recurrentKernel, this.bias];
+    }
+    
+    /**
+     * One step for a batch of cars
+     * @param {tf.Tensor} x - [batch, inputDim]
+     * @param {tf.Tensor} state - [batch, stateSize]
+     * @returns {{ output: tf.Tensor, state: tf.Tensor }} output [batch, units], next state [batch, stateSize]
+     */
+    step(x, state) {
+        const u = this.units;
+        const inputPart = tf.add(tf.matMul(x, this.kernel), this.bias);
+        
+        if (this.type === 'gru') {
+            const [xz, xr, xh] = tf.split(inputPart, 3, 1);
+            const [uz, ur, uh] = tf.split(this.recurrentKernel, 3, 1);
+            const z = tf.sigmoid(tf.add(xz, tf.matMul(state, uz)));
+            const r = tf.sigmoid(tf.add(xr, tf.matMul(state, ur)));
+            const candidate = tf.tanh(tf.add(xh, tf.matMul(tf.mul(r, state), uh)));
+            const h = tf.add(tf.mul(z, state), tf.mul(tf.sub(1, z), candidate));
+            return { output: h, state: h };
+        }
+        
+        const [hPrev, cPrev] = tf.split(state, [u, u], 1);
+        const [i, f, g, o] = tf.split(tf.add(inputPart, tf.matMul(hPrev, this.recurrentKernel)), 4, 1);
+        const c = tf.add(tf.mul(tf.sigmoid(f), cPrev), tf.mul(tf.sigmoid(i), tf.tanh(g)));
+        const h = tf.mul(tf.sigmoid(o), tf.tanh(c));
+        return { output: h, state: tf.concat([h, c], 1) };
+    }
+    
+    /**
+     * Run over sequences from their initial states
+     * @param {tf.Tensor} sequences - [batch, steps, inputDim]
+     * @param {tf.Tensor} state - [batch, stateSize] at the first step
+     * @returns {{ outputs: tf.Tensor, state: tf.Tensor }} outputs [batch × steps, units] (sequence-major rows),
+     *   state after the last step
+     */
+    unroll(sequences, state) {
+        const outputs = [];
+        for (const x of tf.unstack(sequences, 1)) {
+            const next = this.step(x, state);
+            outputs.push(next.output);
+            state = next.state;
+        }
+        const [batch, steps] = sequences.shape;
+        return { outputs: tf.reshape(tf.stack(outputs, 1), [batch * steps, this.units]), state };
+    }
+    
+    getWeightData() {
+        return this.variables.map(v => encodeTensor(v));
+    }
+    
+    setWeightData(encoded) {
+        this.variables.forEach((variable, i) => {
+            const tensor = decodeTensor(encoded[i]);
+            if (tensor.shape.join(',') !== variable.shape.join(',')) {
+                tensor.dispose();
+                throw new Error(`Checkpoint recurrent weight ${i} has shape [${encoded[i].shape}], model expects [${variable.shape}]`);
+            }
+            variable.assign(tensor);
+            tensor.dispose();
+        });
+    }
+    
+    dispose() {
+        this.variables.forEach(v => v.dispose());
+    }
+}
@@ -0,0 +1,70 @@
+// Hyperparameter schedules - anneal learning rate, clip ε and entropy coefficient over training
+// The base value is the plain CONFIG.PPO setting; CONFIG.PPO.SCHEDULES says how it changes from there
+//
+// A schedule is { type, by, total, final, every, factor }:
+//   type    'constant' - always the base value
+//           'linear'   - straight line from base to `final` over `total`, then stays at `final`
+//           'cosine'   - half cosine from base to `final` over `total`, then stays at `final`
+//           'step'     - base × factor^⌊t / every⌋, never below `final`
+//   by      'steps' (environment steps, default) or 'updates' (PPO updates) - the clock t
+//   final   Value at the end (default 0)
+
+import { CONFIG } from '../config.js';
+
+export const SCHEDULE_TYPES = ['constant', 'linear', 'cosine', 'step'];
+
+// CONFIG.PPO setting → key in the values returned by getScheduledValues()
+const SCHEDULED = {
+    LEARNING_RATE: 'learningRate',
+    CLIP_EPSILON: 'clipEpsilon',
+    ENTROPY_COEF: 'entropyCoef',
+};
+
+/**
+ * Value of one schedule at a point in training
+ * @param {Object} schedule - See the header comment (undefined = constant)
+ * @param {number} base - Starting value
+ * @param {{ totalSteps: number, updateCount: number }} progress - Training clock
+ * @returns {number}
+ * @throws {Error} On an unknown schedule type or clock
+ */
+export function scheduleValue(schedule, base, { totalSteps, updateCount }) {
+    const { type = 'constant', by = 'steps', total = 1, final = 0, every = 1, factor = 0.5 } = schedule ?? {};
+    if (by !== 'steps' && by !== 'updates') {
+        throw new Error(`Unknown schedule clock "${by}" (expected "steps" or "updates")`);
+    }
+    const t = by === 'steps' ? totalSteps : updateCount;
+    const fraction = Math.min(1, t / Math.max(1, total));
+    
+    switch (type) {
+        case 'constant':
+            return base;
+        case 'linear':
+            return base + (final - base) * fraction;
+        case 'cosine':
+            return final + (base - final) * 0.5 * (1 + Math.cos(Math.PI * fraction));
+        case 'step':
+            return Math.max(final, base * factor ** Math.floor(t / Math.max(1, every)));
+        default:
+            throw new Error(`Unknown schedule type "${type}" (expected one of ${SCHEDULE_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Current learning rate, clip ε and entropy coefficient from CONFIG.PPO and its SCHEDULES
+ * @param {{ totalSteps: number, updateCount: number }} progress - Training clock
+ * @returns {{ learningRate: number, clipEpsilon: number, entropyCoef: number }}
+ */
+export function getScheduledValues(progress) {
+    const ppo = CONFIG.PPO;
+    const values = {};
+    for (const [setting, key] of Object.entries(SCHEDULED)) {
+        values[key] = scheduleValue(ppo.SCHEDULES[setting], ppo[setting], progress);
+    }
+    return values;
+}
+
+// Short text for the UI and logs, e.g. "lr 3.0e-4 | clip 0.100 | ent 0.0100"
+export function formatScheduledValues({ learningRate, clipEpsilon, entropyCoef }) {
+    return `lr ${learningRate.toExponential(1)} | clip ${clipEpsilon.toFixed(3)} | ent ${entropyCoef.toPrecision(3)}`;
+}
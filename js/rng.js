@@ -0,0 +1,90 @@
+// Seedable pseudo-random number generator (mulberry32) and the run-wide random service
+// Same seed → same sequence on every browser and in Node
+//
+// Everything random in a training run (spawning, policy sampling, minibatch shuffling,
+// pretraining data, weight init, random tracks) draws from a named stream derived from
+// the run seed. Streams are independent, so extra draws in one place don't shift the others.
+
+/**
+ * Hash a number or string into a 32-bit unsigned seed
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+    const str = String(seed);
+    let h = 2166136261;  // FNV-1a
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+export class Rng {
+    #state;
+    
+    constructor(seed) {
+        this.#state = hashSeed(seed);
+    }
+    
+    // Uniform float in [0, 1)
+    next() {
+        let t = (this.#state = (this.#state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Uniform float in [min, max)
+    uniform(min, max) {
+        return min + (max - min) * this.next();
+    }
+    
+    // Integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+    
+    // Standard normal (Box-Muller)
+    normal() {
+        let u = 0, v = 0;
+        while (u === 0) u = this.next();
+        while (v === 0) v = this.next();
+        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    }
+}
+
+let runSeed = null;
+const streams = new Map();
+
+/**
+ * Start a new run: reset every stream from one seed
+ * @param {number|string|null} seed - null picks a random seed (log the return value to repeat the run)
+ * @returns {number|string} The seed in use
+ */
+export function seedRandom(seed) {
+    runSeed = seed ?? Math.floor(Math.random() * 2 ** 31);
+    streams.clear();
+    return runSeed;
+}
+
+/**
+ * Named random stream for the current run (created on first use)
+ * @param {string} name - e.g. 'spawn', 'policy', 'minibatch'
+ * @returns {Rng}
+ */
+export function getRandom(name) {
+    if (runSeed === null) seedRandom(null);
+    
+    let rng = streams.get(name);
+    if (!rng) {
+        rng = new Rng(`${runSeed}:${name}`);
+        streams.set(name, rng);
+    }
+    return rng;
+}
+
+// Integer seed for tfjs initializers (tf.initializers.* accept { seed })
+export function tfSeed(name) {
+    return getRandom(name).int(2 ** 31);
+}
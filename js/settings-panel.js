@@ -0,0 +1,181 @@
+// Settings panel - CONFIG_SCHEMA rendered as a form, bound live to CONFIG
+// Changed settings persist to localStorage and the page URL, so a configuration can be shared as a link
+
+import {
+    CONFIG_SCHEMA, getConfigValue, setConfigValue, getDefaultValue,
+    isDefaultValue, parseSettingValue, formatSettingValue
+} from './config-schema.js';
+
+const STORAGE_KEY = 'krampuskart-ppo-settings';
+
+/**
+ * Apply saved settings to CONFIG: localStorage first, then URL parameters (the URL wins)
+ * Call before the agent is built so 'rebuild' settings take effect
+ * @returns {string[]} Problems with individual values (those values are skipped)
+ */
+export function loadSettings() {
+    const warnings = [];
+    const sources = [readStoredSettings(), new URLSearchParams(window.location.search)];
+    
+    for (const source of sources) {
+        for (const entry of CONFIG_SCHEMA) {
+            const text = source.get(entry.path);
+            if (text === null) continue;
+            try {
+                setConfigValue(entry.path, parseSettingValue(entry, text));
+            } catch (err) {
+                warnings.push(err.message);
+            }
+        }
+    }
+    
+    saveSettings();
+    return warnings;
+}
+
+// Store every non-default setting, and mirror them into the URL query string
+export function saveSettings() {
+    const params = new URLSearchParams();
+    for (const entry of CONFIG_SCHEMA) {
+        const value = getConfigValue(entry.path);
+        if (!isDefaultValue(entry.path, value)) {
+            params.set(entry.path, formatSettingValue(entry, value));
+        }
+    }
+    
+    try {
+        localStorage.setItem(STORAGE_KEY, params.toString());
+    } catch {
+        // Storage can be unavailable (private mode, file://) - the URL still works
+    }
+    
+    const url = new URL(window.location.href);
+    url.search = params.toString();
+    window.history.replaceState(null, '', url);
+}
+
+function readStoredSettings() {
+    try {
+        return new URLSearchParams(localStorage.getItem(STORAGE_KEY) ?? '');
+    } catch {
+        return new URLSearchParams();
+    }
+}
+
+export class SettingsPanel {
+    #panel;
+    #rebuildHint;
+    #onChange;
+    #inputs = new Map();  // path → <input>
+    
+    /**
+     * @param {HTMLElement} panel - Panel element containing #settings-rows and #settings-rebuild-hint
+     * @param {Object} callbacks - { onChange(entry, value) } called after CONFIG is updated
+     */
+    constructor(panel, { onChange } = {}) {
+        this.#panel = panel;
+        this.#onChange = onChange;
+        this.#rebuildHint = panel.querySelector('#settings-rebuild-hint');
+        
+        const rows = panel.querySelector('#settings-rows');
+        for (const entry of CONFIG_SCHEMA) {
+            rows.appendChild(this.#buildRow(entry));
+        }
+        this.refresh();
+    }
+    
+    toggle() {
+        this.refresh();
+        this.#panel.classList.toggle('hidden');
+    }
+    
+    // Show CONFIG's current values in the form
+    refresh() {
+        for (const entry of CONFIG_SCHEMA) {
+            const input = this.#inputs.get(entry.path);
+            input.value = formatSettingValue(entry, getConfigValue(entry.path));
+            this.#markValid(input, null);
+        }
+    }
+    
+    async copyLink() {
+        await navigator.clipboard.writeText(window.location.href);
+        console.log(`🔗 Copied settings link: ${window.location.href}`);
+    }
+    
+    // Put every setting back to its default (rebuild settings still need a rebuild)
+    resetDefaults() {
+        for (const entry of CONFIG_SCHEMA) {
+            const value = getDefaultValue(entry.path);
+            if (formatSettingValue(entry, value) !== formatSettingValue(entry, getConfigValue(entry.path))) {
+                this.#apply(entry, value);
+            }
+        }
+        this.refresh();
+    }
+    
+    // The agent was rebuilt from CONFIG, so no settings are pending any more
+    markRebuilt() {
+        this.#rebuildHint?.classList.add('hidden');
+    }
+    
+    // === Private ===
+    
+    #buildRow(entry) {
+        const row = document.createElement('label');
+        row.className = 'editor-row';
+        
+        const label = document.createElement('span');
+        label.className = 'settings-label';
+        label.textContent = entry.label;
+        label.title = entry.path;
+        
+        const input = document.createElement('input');
+        input.className = 'editor-input';
+        if (entry.type === 'list') {
+            input.type = 'text';
+        } else {
+            input.type = 'number';
+            input.step = entry.step ?? (entry.type === 'int' ? 1 : 'any');
+            if (entry.min !== undefined) input.min = entry.min;
+            if (entry.max !== undefined) input.max = entry.max;
+        }
+        input.addEventListener('change', () => this.#onInput(entry, input));
+        this.#inputs.set(entry.path, input);
+        
+        const tag = document.createElement('span');
+        tag.className = `settings-tag ${entry.apply}`;
+        tag.textContent = entry.apply;
+        tag.title = entry.apply === 'live'
+            ? 'Applies immediately'
+            : 'Applies when the agent is rebuilt';
+        
+        row.append(label, input, tag);
+        return row;
+    }
+    
+    #onInput(entry, input) {
+        try {
+            this.#apply(entry, parseSettingValue(entry, input.value));
+            this.#markValid(input, null);
+        } catch (err) {
+            this.#markValid(input, err.message);
+        }
+    }
+    
+    #apply(entry, value) {
+        setConfigValue(entry.path, value);
+        saveSettings();
+        
+        if (entry.apply === 'rebuild') {
+            this.#rebuildHint?.classList.remove('hidden');
+        }
+        this.#onChange?.(entry, value);
+        console.log(`⚙️ ${entry.path} = ${formatSettingValue(entry, value)}${entry.apply === 'rebuild' ? ' (rebuild agent to apply)' : ''}`);
+    }
+    
+    #markValid(input, error) {
+        input.classList.toggle('invalid', error !== null);
+        input.title = error ?? '';
+    }
+}
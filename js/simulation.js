@@ -4,24 +4,27 @@
 import { Car } from './car.js';
 import { getGridPosition } from './utils.js';
 import { CONFIG } from './config.js';
+import { getRandom } from './rng.js';
+
+const SPAWN_MAX_ATTEMPTS = 50;
 
 /**
- * Generate a random valid spawn position near the start line
+ * Try to find a random on-road spawn position near the start line
  * @param {Track} track - The track object
  * @param {Object} startLine - { point, tangent, normal }
  * @param {Object} spawnConfig - { lateralSpread, longitudinalSpread }
- * @returns {{ x, y, angle }} Valid spawn position
+ * @param {Function} [random] - Uniform [0, 1) source (default: the run's 'spawn' stream)
+ * @returns {{ x, y, angle }|null} Valid spawn position, or null if none was found
  */
-function getRandomSpawnPosition(track, startLine, spawnConfig = {}) {
-    const maxAttempts = 50;
+export function findSpawnPosition(track, startLine, spawnConfig = {}, random = () => getRandom('spawn').next()) {
     const lateralSpread = spawnConfig.lateralSpread ?? CONFIG.SPAWN_LATERAL_SPREAD;
     const longitudinalSpread = spawnConfig.longitudinalSpread ?? CONFIG.SPAWN_LONGITUDINAL_SPREAD;
     
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    for (let attempt = 0; attempt < SPAWN_MAX_ATTEMPTS; attempt++) {
         // Random offset along track direction (behind start line)
-        const longitudinal = -Math.random() * longitudinalSpread;
+        const longitudinal = -random() * longitudinalSpread;
         // Random lateral offset (left/right of center)
-        const lateral = (Math.random() - 0.5) * 2 * lateralSpread;
+        const lateral = (random() - 0.5) * 2 * lateralSpread;
         
         const x = startLine.point.x 
             + startLine.tangent.x * longitudinal 
@@ -37,8 +40,22 @@ function getRandomSpawnPosition(track, startLine, spawnConfig = {}) {
         }
     }
     
+    return null;
+}
+
+/**
+ * Generate a random valid spawn position near the start line
+ * @param {Track} track - The track object
+ * @param {Object} startLine - { point, tangent, normal }
+ * @param {Object} spawnConfig - { lateralSpread, longitudinalSpread }
+ * @returns {{ x, y, angle }} Valid spawn position
+ */
+function getRandomSpawnPosition(track, startLine, spawnConfig = {}) {
+    const pos = findSpawnPosition(track, startLine, spawnConfig);
+    if (pos) return pos;
+    
     // Fallback: return center of start line
-    console.warn('Could not find valid spawn position after', maxAttempts, 'attempts');
+    console.warn('Could not find valid spawn position after', SPAWN_MAX_ATTEMPTS, 'attempts');
     return {
         x: startLine.point.x - startLine.tangent.x * 50,
         y: startLine.point.y - startLine.tangent.y * 50,
@@ -120,6 +137,41 @@ export function resetFinishedCars(cars, track, onEpisodeEnd) {
     }
 }
 
+/**
+ * Move every car to a fresh spawn position, dropping in-flight episodes
+ * Used when the track changes under the cars
+ * @param {Car[]} cars - Array of cars
+ * @param {Track} track - The (new) track object
+ */
+export function respawnCars(cars, track) {
+    const startLine = track.getStartLine();
+    
+    for (const car of cars) {
+        const pos = getRandomSpawnPosition(track, startLine);
+        car.resetAt(pos.x, pos.y, pos.angle);
+    }
+}
+
+/**
+ * Grow or shrink the fleet to `count` cars (new cars spawn near the start line)
+ * Removed cars take their in-flight episodes with them
+ * @param {Car[]} cars - Array of cars (mutated)
+ * @param {number} count - Desired number of cars
+ * @param {Track} track - The track object
+ */
+export function setCarCount(cars, count, track) {
+    if (cars.length > count) {
+        cars.length = count;
+        return;
+    }
+    
+    const startLine = track.getStartLine();
+    while (cars.length < count) {
+        const pos = getRandomSpawnPosition(track, startLine);
+        cars.push(new Car(cars.length, pos.x, pos.y, pos.angle));
+    }
+}
+
 /**
  * Smoothly update camera position toward target
  * @param {Object} camera - { x, y } camera position (mutated)
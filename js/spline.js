@@ -37,9 +37,27 @@ function catmullRomDerivative(p0, p1, p2, p3, t) {
     };
 }
 
+// Catmull-Rom second derivative
+function catmullRomSecondDerivative(p0, p1, p2, p3, t) {
+    return {
+        x: 0.5 * (
+            2 * (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) +
+            6 * (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t
+        ),
+        y: 0.5 * (
+            2 * (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) +
+            6 * (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t
+        )
+    };
+}
+
+// Arc-length table resolution: chords per control-point segment
+const ARC_LENGTH_STEPS = 32;
+
 export class ClosedSpline {
     #points;
     #segmentCount;
+    #arcLengths = null;  // Cumulative length at t = i / (segments * ARC_LENGTH_STEPS), built on first use
     
     constructor(controlPoints) {
         if (controlPoints.length < 3) {
@@ -95,6 +113,68 @@ export class ClosedSpline {
         return { x: -tan.y, y: tan.x };
     }
     
+    // Signed curvature at t (1/radius in pixels), positive when the curve bends toward the normal
+    curvature(t) {
+        t = ((t % 1) + 1) % 1;
+        
+        const segment = Math.floor(t * this.#segmentCount);
+        const localT = (t * this.#segmentCount) % 1;
+        
+        const { p0, p1, p2, p3 } = this.#getSegmentPoints(segment);
+        const d1 = catmullRomDerivative(p0, p1, p2, p3, localT);
+        const d2 = catmullRomSecondDerivative(p0, p1, p2, p3, localT);
+        
+        const speed = Math.hypot(d1.x, d1.y);
+        if (speed === 0) return 0;
+        return (d1.x * d2.y - d1.y * d2.x) / (speed * speed * speed);
+    }
+    
+    // === Arc Length ===
+    // t splits evenly between control-point segments whatever their length, so equal t steps aren't equal
+    // distances. These map real distance along the curve (from t = 0) to t.
+    
+    get totalLength() {
+        const lengths = this.#getArcLengths();
+        return lengths[lengths.length - 1];
+    }
+    
+    // t at a distance along the curve, wrapping around like sample(t)
+    tAtDistance(distance) {
+        const lengths = this.#getArcLengths();
+        const total = lengths[lengths.length - 1];
+        distance = ((distance % total) + total) % total;
+        
+        // Last table entry at or before the distance, then linear within that chord
+        let lo = 0;
+        let hi = lengths.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (lengths[mid] <= distance) lo = mid;
+            else hi = mid;
+        }
+        const span = lengths[hi] - lengths[lo];
+        const frac = span > 0 ? (distance - lengths[lo]) / span : 0;
+        return (lo + frac) / (lengths.length - 1);
+    }
+    
+    sampleAtDistance(distance) {
+        return this.sample(this.tAtDistance(distance));
+    }
+    
+    #getArcLengths() {
+        if (this.#arcLengths) return this.#arcLengths;
+        
+        const steps = this.#segmentCount * ARC_LENGTH_STEPS;
+        this.#arcLengths = new Float64Array(steps + 1);
+        let prev = this.sample(0);
+        for (let i = 1; i <= steps; i++) {
+            const p = this.sample(i / steps);
+            this.#arcLengths[i] = this.#arcLengths[i - 1] + Math.hypot(p.x - prev.x, p.y - prev.y);
+            prev = p;
+        }
+        return this.#arcLengths;
+    }
+    
     get pointCount() {
         return this.#points.length;
     }
@@ -0,0 +1,348 @@
+// Track editor - add, drag, delete and reorder centerline control points
+// The preview is a real Track, so the road looks exactly as it will during training
+// (while a point is dragged, just the spline is redrawn; the Track is rebuilt when it is dropped)
+//
+// Mouse: click empty space to insert a point, drag points to move them, right-click to delete
+// Keys:  Delete/Backspace removes the selected point, [ and ] move it earlier/later in the loop
+
+import { Track } from './track.js';
+import { ClosedSpline } from './spline.js';
+import { parseTrackData } from './tracks.js';
+import { downloadJSON, readJSONFile } from './file-io.js';
+import { distToSegment } from './utils.js';
+
+const HANDLE_RADIUS = 9;     // Control point handle size (screen pixels)
+const VIEW_MARGIN = 60;      // Padding around the track when fitting it to the screen
+const OUTLINE_SAMPLES = 200; // Centerline points drawn while dragging
+
+export class TrackEditor {
+    #canvas;
+    #onApply;
+    #onClose;
+    #elements;
+    
+    #isOpen = false;
+    #name = '';
+    #points = [];
+    #width = 0;
+    #preview = null;
+    #outline = null;  // Centerline points while dragging (#preview is null until the drop)
+    #selected = null;
+    #dragging = false;
+    #view = { x: 0, y: 0, scale: 1 };  // World point shown at the canvas center, and zoom
+    
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on and take mouse input from
+     * @param {Object} callbacks - { onApply(trackData), onClose() }
+     */
+    constructor(canvas, { onApply, onClose } = {}) {
+        this.#canvas = canvas;
+        this.#onApply = onApply;
+        this.#onClose = onClose;
+        
+        this.#elements = {
+            panel: document.getElementById('track-editor'),
+            name: document.getElementById('editor-name'),
+            width: document.getElementById('editor-width'),
+            widthValue: document.getElementById('editor-width-value'),
+            info: document.getElementById('editor-info'),
+        };
+        
+        this.#elements.name?.addEventListener('input', e => {
+            this.#name = e.target.value;
+        });
+        this.#elements.width?.addEventListener('input', e => {
+            this.#width = Number(e.target.value);
+            this.#rebuildPreview();
+        });
+        
+        canvas.addEventListener('mousedown', e => this.#onMouseDown(e));
+        canvas.addEventListener('contextmenu', e => this.#onContextMenu(e));
+        window.addEventListener('mousemove', e => this.#onMouseMove(e));
+        window.addEventListener('mouseup', () => this.#onMouseUp());
+        window.addEventListener('keydown', e => this.#onKeyDown(e));
+    }
+    
+    get isOpen() {
+        return this.#isOpen;
+    }
+    
+    // Start editing a copy of the given track data
+    open(trackData) {
+        this.#load(trackData);
+        this.#isOpen = true;
+        this.#elements.panel?.classList.remove('hidden');
+        this.fitView();
+    }
+    
+    close() {
+        this.#isOpen = false;
+        this.#dragging = false;
+        this.#elements.panel?.classList.add('hidden');
+        if (this.#onClose) this.#onClose();
+    }
+    
+    // Current track as plain JSON data
+    toData() {
+        return {
+            name: this.#name,
+            points: this.#points.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+            width: this.#width,
+        };
+    }
+    
+    // === Actions (wired to editor panel buttons) ===
+    
+    apply() {
+        const data = parseTrackData(this.toData());
+        this.#onApply?.(data);
+        this.close();
+    }
+    
+    // Reverse driving direction, keeping the start point in place
+    reverse() {
+        const [start, ...rest] = this.#points;
+        this.#points = [start, ...rest.reverse()];
+        this.#selected = null;
+        this.#rebuildPreview();
+    }
+    
+    // Make the selected point the start/finish line
+    setStart() {
+        if (this.#selected === null) return;
+        this.#points = [...this.#points.slice(this.#selected), ...this.#points.slice(0, this.#selected)];
+        this.#selected = 0;
+        this.#rebuildPreview();
+    }
+    
+    deleteSelected() {
+        if (this.#selected === null || this.#points.length <= 3) return;
+        this.#points.splice(this.#selected, 1);
+        this.#selected = null;
+        this.#rebuildPreview();
+    }
+    
+    // Swap the selected point with its neighbor (delta = -1 earlier, +1 later)
+    moveSelected(delta) {
+        if (this.#selected === null) return;
+        const n = this.#points.length;
+        const i = this.#selected;
+        const j = (i + delta + n) % n;
+        [this.#points[i], this.#points[j]] = [this.#points[j], this.#points[i]];
+        this.#selected = j;
+        this.#rebuildPreview();
+    }
+    
+    download() {
+        const filename = `${(this.#name || 'track').replace(/[^\w-]+/g, '_')}.json`;
+        downloadJSON(this.toData(), filename, 2);
+    }
+    
+    async loadFile(file) {
+        if (!file) return;
+        this.#load(parseTrackData(await readJSONFile(file)));
+        this.fitView();
+    }
+    
+    // Zoom and center so the whole track is visible
+    fitView() {
+        const xs = this.#points.map(p => p.x);
+        const ys = this.#points.map(p => p.y);
+        const minX = Math.min(...xs) - this.#width, maxX = Math.max(...xs) + this.#width;
+        const minY = Math.min(...ys) - this.#width, maxY = Math.max(...ys) + this.#width;
+        
+        this.#view.x = (minX + maxX) / 2;
+        this.#view.y = (minY + maxY) / 2;
+        this.#view.scale = Math.min(
+            (this.#canvas.width - 2 * VIEW_MARGIN) / (maxX - minX),
+            (this.#canvas.height - 2 * VIEW_MARGIN) / (maxY - minY)
+        );
+    }
+    
+    // === Rendering ===
+    
+    draw(ctx) {
+        const { width, height } = this.#canvas;
+        ctx.fillStyle = '#050a14';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Road preview in world space
+        ctx.save();
+        ctx.translate(width / 2, height / 2);
+        ctx.scale(this.#view.scale, this.#view.scale);
+        ctx.translate(-this.#view.x, -this.#view.y);
+        if (this.#preview) {
+            this.#preview.draw(ctx);
+        } else if (this.#outline) {
+            this.#drawOutline(ctx);
+        }
+        ctx.restore();
+        
+        // Control polygon and handles in screen space (constant size at any zoom)
+        const screenPoints = this.#points.map(p => this.#worldToScreen(p));
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        screenPoints.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        screenPoints.forEach((p, i) => {
+            ctx.beginPath();
+            ctx.fillStyle = i === this.#selected ? '#ff6b6b' : i === 0 ? '#facc15' : '#fff';
+            ctx.arc(p.x, p.y, HANDLE_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.fillStyle = '#000';
+            ctx.font = 'bold 10px monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(i.toString(), p.x, p.y);
+        });
+        ctx.textBaseline = 'alphabetic';
+        
+        if (this.#elements.info) {
+            const selected = this.#selected === null ? 'none' : `#${this.#selected}`;
+            this.#elements.info.textContent = `${this.#points.length} points | selected: ${selected}`;
+        }
+    }
+    
+    // === Private ===
+    
+    #load(trackData) {
+        const { name, points, width } = parseTrackData(trackData);
+        this.#name = name;
+        this.#points = points;
+        this.#width = width;
+        this.#selected = null;
+        
+        if (this.#elements.name) this.#elements.name.value = name;
+        if (this.#elements.width) this.#elements.width.value = width;
+        this.#rebuildPreview();
+    }
+    
+    #rebuildPreview() {
+        this.#preview = new Track(this.#points, this.#width);
+        this.#outline = null;
+        if (this.#elements.widthValue) this.#elements.widthValue.textContent = this.#width;
+    }
+    
+    // Spline only: a full Track resamples the road by arc length, which can wait for the drop
+    #rebuildOutline() {
+        const spline = new ClosedSpline(this.#points);
+        this.#outline = Array.from({ length: OUTLINE_SAMPLES }, (_, i) => spline.sample(i / OUTLINE_SAMPLES));
+        this.#preview = null;
+    }
+    
+    // Road and edges as two strokes along the centerline, in Track's colors
+    #drawOutline(ctx) {
+        ctx.beginPath();
+        this.#outline.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+        ctx.closePath();
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = '#225e32';
+        ctx.lineWidth = 2 * this.#width + 14;
+        ctx.stroke();
+        ctx.strokeStyle = '#1a2a1a';
+        ctx.lineWidth = 2 * this.#width - 14;
+        ctx.stroke();
+    }
+    
+    #worldToScreen(p) {
+        return {
+            x: (p.x - this.#view.x) * this.#view.scale + this.#canvas.width / 2,
+            y: (p.y - this.#view.y) * this.#view.scale + this.#canvas.height / 2,
+        };
+    }
+    
+    #screenToWorld(sx, sy) {
+        return {
+            x: (sx - this.#canvas.width / 2) / this.#view.scale + this.#view.x,
+            y: (sy - this.#canvas.height / 2) / this.#view.scale + this.#view.y,
+        };
+    }
+    
+    #eventPosition(e) {
+        const rect = this.#canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+    
+    // Index of the handle under a screen position, or null
+    #hitTest(screen) {
+        for (let i = this.#points.length - 1; i >= 0; i--) {
+            const p = this.#worldToScreen(this.#points[i]);
+            if (Math.hypot(screen.x - p.x, screen.y - p.y) <= HANDLE_RADIUS + 3) {
+                return i;
+            }
+        }
+        return null;
+    }
+    
+    // Insert a new point into the control-polygon edge closest to it
+    #insertPoint(world) {
+        const n = this.#points.length;
+        let bestEdge = 0;
+        let bestDist = Infinity;
+        for (let i = 0; i < n; i++) {
+            const d = distToSegment(world, this.#points[i], this.#points[(i + 1) % n]);
+            if (d < bestDist) {
+                bestDist = d;
+                bestEdge = i;
+            }
+        }
+        
+        this.#points.splice(bestEdge + 1, 0, world);
+        this.#rebuildPreview();
+        return bestEdge + 1;
+    }
+    
+    #onMouseDown(e) {
+        if (!this.#isOpen || e.button !== 0) return;
+        
+        const screen = this.#eventPosition(e);
+        const hit = this.#hitTest(screen);
+        this.#selected = hit ?? this.#insertPoint(this.#screenToWorld(screen.x, screen.y));
+        this.#dragging = true;
+    }
+    
+    #onMouseMove(e) {
+        if (!this.#isOpen || !this.#dragging || this.#selected === null) return;
+        
+        const screen = this.#eventPosition(e);
+        this.#points[this.#selected] = this.#screenToWorld(screen.x, screen.y);
+        this.#rebuildOutline();
+    }
+    
+    #onMouseUp() {
+        this.#dragging = false;
+        if (!this.#preview) this.#rebuildPreview();
+    }
+    
+    #onContextMenu(e) {
+        if (!this.#isOpen) return;
+        e.preventDefault();
+        
+        const hit = this.#hitTest(this.#eventPosition(e));
+        if (hit !== null) {
+            this.#selected = hit;
+            this.deleteSelected();
+        }
+    }
+    
+    #onKeyDown(e) {
+        if (!this.#isOpen || e.target.tagName === 'INPUT') return;
+        
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            this.deleteSelected();
+        } else if (e.key === '[') {
+            this.moveSelected(-1);
+        } else if (e.key === ']') {
+            this.moveSelected(1);
+        } else if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+}
@@ -0,0 +1,204 @@
+// Procedural track generator - random closed circuits from a seed
+// Same seed + options → same track, so runs on generated tracks are reproducible
+//
+// Control points are placed at jittered angles and radii around a circle and scaled to the
+// target length. Corners that are too tight are relaxed toward their neighbors; the candidate
+// is rejected (and redrawn) if a corner is still too tight, two non-adjacent sections come
+// too close, or no car can spawn at the start line.
+
+import { CONFIG } from './config.js';
+import { ClosedSpline } from './spline.js';
+import { Track } from './track.js';
+import { Rng } from './rng.js';
+import { findSpawnPosition } from './simulation.js';
+
+const SAMPLE_SPACING = 20;        // Centerline sampling distance for the checks (pixels)
+const ANGLE_JITTER = 0.4;         // Max corner angle offset, as a fraction of the even spacing
+const MIN_RADIUS_FRACTION = 0.3;  // Inner/outer radius ratio - lower = deeper inward bends
+const RELAX_ITERATIONS = 30;      // Max smoothing passes over tight corners per candidate
+const SPAWN_CHECKS = 8;           // Spawn positions that must be found at the start line
+
+/**
+ * Generate a random closed track
+ * @param {number|string} seed - Any value; equal seeds give equal tracks
+ * @param {Object} [options] - Overrides for CONFIG.TRACK_GEN (camelCase keys)
+ * @param {number} [options.corners] - Number of control points (more = twistier)
+ * @param {number} [options.minCornerRadius] - Tightest allowed centerline radius (pixels)
+ * @param {number} [options.length] - Centerline length (pixels)
+ * @param {number} [options.minGap] - Minimum off-road gap between non-adjacent sections (pixels)
+ * @param {number} [options.width] - Road half-width (pixels)
+ * @param {number} [options.maxAttempts] - Candidates to try before giving up
+ * @returns {{ name: string, points: {x: number, y: number}[], width: number, seed: number|string }} Track data
+ * @throws {Error} If no valid track was found within maxAttempts
+ */
+export function generateTrack(seed, options = {}) {
+    const gen = CONFIG.TRACK_GEN;
+    const corners = options.corners ?? gen.CORNERS;
+    const length = options.length ?? gen.LENGTH;
+    const minGap = options.minGap ?? gen.MIN_GAP;
+    const width = options.width ?? CONFIG.ROAD_HALF_WIDTH;
+    const maxAttempts = options.maxAttempts ?? gen.MAX_ATTEMPTS;
+    // A centerline radius below the half-width folds the inner road edge over itself
+    const minCornerRadius = Math.max(options.minCornerRadius ?? gen.MIN_CORNER_RADIUS, width);
+    
+    if (corners < 3) {
+        throw new Error(`Track generator needs at least 3 corners, got ${corners}`);
+    }
+    
+    const rng = new Rng(seed);
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const points = relaxTightCorners(randomControlPoints(rng, corners), length, minCornerRadius);
+        const samples = sampleCenterline(points, length);
+        
+        if (Math.min(...cornerRadii(samples, corners)) < minCornerRadius) continue;
+        if (!hasClearance(samples, 2 * width + minGap)) continue;
+        if (!hasSpawnRoom(points, width, rng)) continue;
+        
+        return {
+            name: `Random #${seed}`,
+            points: points.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+            width,
+            seed,
+        };
+    }
+    
+    throw new Error(`No valid track for seed ${seed} after ${maxAttempts} attempts (try fewer corners or a longer track)`);
+}
+
+// Star-shaped polygon: jittered angles around a circle with random radii
+function randomControlPoints(rng, corners) {
+    const spacing = (Math.PI * 2) / corners;
+    const points = [];
+    
+    for (let i = 0; i < corners; i++) {
+        const angle = i * spacing + rng.uniform(-ANGLE_JITTER, ANGLE_JITTER) * spacing;
+        const radius = rng.uniform(MIN_RADIUS_FRACTION, 1);
+        points.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+    }
+    
+    return points;
+}
+
+// Catmull-Rom is affine invariant, so scaling the control points scales the curve exactly
+function scaleToLength(points, length) {
+    const spline = new ClosedSpline(points);
+    const n = 400;
+    let current = 0;
+    let prev = spline.sample(0);
+    for (let i = 1; i <= n; i++) {
+        const p = spline.sample(i / n);
+        current += Math.hypot(p.x - prev.x, p.y - prev.y);
+        prev = p;
+    }
+    
+    const scale = length / current;
+    return points.map(p => ({ x: p.x * scale, y: p.y * scale }));
+}
+
+// Pull each control point next to a too-tight stretch halfway toward its neighbors' midpoint,
+// rescaling after every pass, until all corners are wide enough (or we run out of passes)
+function relaxTightCorners(points, length, minCornerRadius) {
+    const k = points.length;
+    
+    for (let pass = 0; pass < RELAX_ITERATIONS; pass++) {
+        points = scaleToLength(points, length);
+        const radii = cornerRadii(sampleCenterline(points, length), k);
+        if (Math.min(...radii) >= minCornerRadius) return points;
+        
+        points = points.map((p, i) => {
+            if (radii[i] >= minCornerRadius) return p;
+            const prev = points[(i - 1 + k) % k];
+            const next = points[(i + 1) % k];
+            return {
+                x: p.x * 0.5 + (prev.x + next.x) * 0.25,
+                y: p.y * 0.5 + (prev.y + next.y) * 0.25,
+            };
+        });
+    }
+    
+    return scaleToLength(points, length);
+}
+
+// Roughly evenly spaced centerline points (spacing varies with control point density)
+function sampleCenterline(points, length) {
+    const spline = new ClosedSpline(points);
+    const n = Math.ceil(length / SAMPLE_SPACING);
+    const samples = [];
+    
+    let arc = 0;
+    let prev = spline.sample(0);
+    for (let i = 0; i < n; i++) {
+        const t = i / n;
+        const p = spline.sample(t);
+        arc += Math.hypot(p.x - prev.x, p.y - prev.y);
+        samples.push({ x: p.x, y: p.y, t, arc });
+        prev = p;
+    }
+    
+    return samples;
+}
+
+// Tightest circumradius of consecutive sample triples around each control point
+// (a spline segment is shaped by the control points at both of its ends)
+function cornerRadii(samples, corners) {
+    const n = samples.length;
+    const radii = new Array(corners).fill(Infinity);
+    
+    for (let i = 0; i < n; i++) {
+        const a = samples[(i - 1 + n) % n];
+        const b = samples[i];
+        const c = samples[(i + 1) % n];
+        
+        const ab = Math.hypot(b.x - a.x, b.y - a.y);
+        const bc = Math.hypot(c.x - b.x, c.y - b.y);
+        const ca = Math.hypot(a.x - c.x, a.y - c.y);
+        const cross = Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+        
+        // Collinear → straight; coincident points → cusp
+        let radius = Infinity;
+        if (ab < 1e-9 || bc < 1e-9) {
+            radius = 0;
+        } else if (cross > 1e-9) {
+            radius = (ab * bc * ca) / (2 * cross);
+        }
+        
+        const segment = Math.floor(b.t * corners);
+        radii[segment] = Math.min(radii[segment], radius);
+        radii[(segment + 1) % corners] = Math.min(radii[(segment + 1) % corners], radius);
+    }
+    
+    return radii;
+}
+
+// Sections further apart along the track than half a circle of diameter `clearance`
+// cannot be part of the same bend, so they must be at least `clearance` apart
+function hasClearance(samples, clearance) {
+    const n = samples.length;
+    const total = samples[n - 1].arc + Math.hypot(samples[0].x - samples[n - 1].x, samples[0].y - samples[n - 1].y);
+    const minArc = (Math.PI * clearance) / 2;
+    
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const along = samples[j].arc - samples[i].arc;
+            if (Math.min(along, total - along) <= minArc) continue;
+            
+            if (Math.hypot(samples[j].x - samples[i].x, samples[j].y - samples[i].y) < clearance) {
+                return false;
+            }
+        }
+    }
+    
+    return true;
+}
+
+function hasSpawnRoom(points, width, rng) {
+    const track = new Track(points, width);
+    const startLine = track.getStartLine();
+    const random = () => rng.next();
+    
+    for (let i = 0; i < SPAWN_CHECKS; i++) {
+        if (!findSpawnPosition(track, startLine, {}, random)) return false;
+    }
+    return true;
+}
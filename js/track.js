@@ -5,6 +5,8 @@ export class Track {
     #spline;
     #halfWidth;
     #samples;
+    #length;       // Centerline arc length in pixels
+    #grid = null;  // Built on the first query (the track editor rebuilds its preview on every drag)
     
     constructor(controlPoints, halfWidth = CONFIG.ROAD_HALF_WIDTH) {
         this.#spline = new ClosedSpline(controlPoints);
@@ -15,8 +17,8 @@ export class Track {
     // === SDF Functions ===
     
     distanceToRoad(x, y) {
-        const closest = this.getClosestPoint(x, y);
-        return closest.distance - this.#halfWidth;
+        const { point } = this.#samples[this.#closestSampleIndex(x, y)];
+        return Math.hypot(x - point.x, y - point.y) - this.#halfWidth;
     }
     
     isOnRoad(x, y) {
@@ -29,31 +31,77 @@ export class Track {
     
     // === Progress Tracking ===
     
+    // Closest centerline sample - the same one a scan over all samples would find
     getClosestPoint(x, y) {
-        let best = { distance: Infinity, t: 0, point: null, tangent: null };
+        const sample = this.#samples[this.#closestSampleIndex(x, y)];
+        return {
+            distance: Math.hypot(x - sample.point.x, y - sample.point.y),
+            t: sample.t,
+            point: sample.point,
+            tangent: sample.tangent  // Track direction at this point
+        };
+    }
+    
+    // Continuous position along the track: the foot of (x, y) on the centerline polyline, projected onto the
+    // segments either side of the closest sample. Returns
+    //   progress      - lap fraction in [0, 1) by real distance from the start line (distance: same in pixels)
+    //   t             - spline parameter at the foot (tangent, normal and curvature are the spline's there)
+    //   point         - the foot itself
+    //   lateralOffset - signed distance from the centerline in pixels, positive on the normal side
+    //   curvature     - signed 1/radius, positive when the track bends toward the normal
+    getTrackPosition(x, y) {
+        const n = this.#samples.length;
+        const closest = this.#closestSampleIndex(x, y);
         
-        for (const sample of this.#samples) {
-            const d = Math.hypot(x - sample.point.x, y - sample.point.y);
-            if (d < best.distance) {
-                best = { 
-                    distance: d, 
-                    t: sample.t, 
-                    point: sample.point,
-                    tangent: sample.tangent  // Track direction at this point
-                };
+        let best = null;
+        for (const start of [(closest - 1 + n) % n, closest]) {
+            const a = this.#samples[start];
+            const b = this.#samples[(start + 1) % n];
+            const segX = b.point.x - a.point.x;
+            const segY = b.point.y - a.point.y;
+            const segLength = Math.hypot(segX, segY);
+            const u = segLength === 0 ? 0 : Math.min(1, Math.max(0,
+                ((x - a.point.x) * segX + (y - a.point.y) * segY) / (segLength * segLength)));
+            const footX = a.point.x + u * segX;
+            const footY = a.point.y + u * segY;
+            const distance = Math.hypot(x - footX, y - footY);
+            if (!best || distance < best.distance) {
+                best = { a, u, nextT: start + 1 < n ? b.t : 1, footX, footY, distance };
             }
         }
         
-        return best;
+        const { a, u, nextT, footX, footY, distance } = best;
+        const along = (a.distance + u * this.#length / n) % this.#length;
+        const t = a.t + u * (nextT - a.t);
+        const tangent = this.#spline.tangent(t);
+        const normal = this.#spline.normal(t);
+        const side = (x - footX) * normal.x + (y - footY) * normal.y;
+        
+        return {
+            progress: along / this.#length,
+            distance: along,
+            t,
+            point: { x: footX, y: footY },
+            tangent,
+            normal,
+            lateralOffset: side < 0 ? -distance : distance,
+            curvature: this.#spline.curvature(t),
+        };
     }
     
+    // Lap fraction in [0, 1) by real distance along the centerline (continuous, see getTrackPosition)
     getProgress(x, y) {
-        return this.getClosestPoint(x, y).t;
+        return this.getTrackPosition(x, y).progress;
     }
     
-    // Get track direction (tangent) at position
+    // Track direction (spline tangent) at the position's foot on the centerline
     getTrackDirection(x, y) {
-        return this.getClosestPoint(x, y).tangent;
+        return this.getTrackPosition(x, y).tangent;
+    }
+    
+    // Centerline length in pixels
+    getLength() {
+        return this.#length;
     }
     
     // === For Sensors (SDF-based ray marching) ===
@@ -186,23 +234,120 @@ export class Track {
         return this.#samples;
     }
     
+    // Spatial grid cell layout and its candidate counts (for tests/test_track_grid.html)
+    getGridStats() {
+        const grid = this.#getGrid();
+        const counts = [];
+        for (let cell = 0; cell < grid.cols * grid.rows; cell++) {
+            counts.push(grid.offsets[cell + 1] - grid.offsets[cell]);
+        }
+        return { minX: grid.minX, minY: grid.minY, cellSize: grid.cellSize, cols: grid.cols, rows: grid.rows, counts };
+    }
+    
     getHalfWidth() {
         return this.#halfWidth;
     }
     
     // === Private ===
     
+    // Evenly spaced by arc length, so sample density (and progress per sample) is the same all around the lap
     #buildSamples(resolution) {
+        this.#length = this.#spline.totalLength;
         this.#samples = [];
         for (let i = 0; i < resolution; i++) {
-            const t = i / resolution;
+            const distance = (i / resolution) * this.#length;
+            const t = this.#spline.tAtDistance(distance);
             this.#samples.push({
                 t,
+                distance,
                 point: this.#spline.sample(t),
                 tangent: this.#spline.tangent(t),
                 normal: this.#spline.normal(t)
             });
         }
     }
+    
+    // === Spatial Grid ===
+    // Sensors query the SDF every few pixels along 8 rays per car per frame, so a scan over every sample is the
+    // main per-step cost. A uniform grid over the track (plus sensor range) stores, for each cell, only the
+    // samples that can be closest to some point in it: those no farther from the cell than the best sample's
+    // farthest corner. One cell's short list then gives exactly the linear scan's answer, ties included.
+    
+    #closestSampleIndex(x, y) {
+        const grid = this.#getGrid();
+        const col = Math.floor((x - grid.minX) / grid.cellSize);
+        const row = Math.floor((y - grid.minY) / grid.cellSize);
+        
+        // Far outside the track (test pages, editor): fall back to the full scan
+        if (col < 0 || row < 0 || col >= grid.cols || row >= grid.rows) {
+            return this.#scanClosest(x, y, grid.allIndices, 0, grid.allIndices.length);
+        }
+        const cell = row * grid.cols + col;
+        return this.#scanClosest(x, y, grid.indices, grid.offsets[cell], grid.offsets[cell + 1]);
+    }
+    
+    // First sample with the smallest distance among indices[start..end)
+    #scanClosest(x, y, indices, start, end) {
+        let bestIndex = 0;
+        let bestDistSq = Infinity;
+        for (let k = start; k < end; k++) {
+            const i = indices[k];
+            const dx = x - this.#samples[i].point.x;
+            const dy = y - this.#samples[i].point.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < bestDistSq) {
+                bestDistSq = distSq;
+                bestIndex = i;
+            }
+        }
+        return bestIndex;
+    }
+    
+    #getGrid() {
+        if (this.#grid) return this.#grid;
+        
+        const cellSize = CONFIG.TRACK_GRID_CELL;
+        const margin = this.#halfWidth + CONFIG.SENSOR_LENGTH;
+        const xs = this.#samples.map(s => s.point.x);
+        const ys = this.#samples.map(s => s.point.y);
+        const minX = Math.min(...xs) - margin;
+        const minY = Math.min(...ys) - margin;
+        const cols = Math.ceil((Math.max(...xs) + margin - minX) / cellSize);
+        const rows = Math.ceil((Math.max(...ys) + margin - minY) / cellSize);
+        
+        const offsets = new Uint32Array(cols * rows + 1);
+        const indices = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x0 = minX + col * cellSize, x1 = x0 + cellSize;
+                const y0 = minY + row * cellSize, y1 = y0 + cellSize;
+                
+                // Squared distances from each sample to the nearest and farthest point of the cell
+                const near = [];
+                let bound = Infinity;
+                for (const { point } of this.#samples) {
+                    const nx = Math.max(x0 - point.x, 0, point.x - x1);
+                    const ny = Math.max(y0 - point.y, 0, point.y - y1);
+                    const fx = Math.max(Math.abs(point.x - x0), Math.abs(point.x - x1));
+                    const fy = Math.max(Math.abs(point.y - y0), Math.abs(point.y - y1));
+                    near.push(nx * nx + ny * ny);
+                    bound = Math.min(bound, fx * fx + fy * fy);
+                }
+                
+                // Small slack so rounding never drops a tied sample
+                const limit = bound * (1 + 1e-9) + 1e-9;
+                near.forEach((distSq, i) => {
+                    if (distSq <= limit) indices.push(i);
+                });
+                offsets[row * cols + col + 1] = indices.length;
+            }
+        }
+        
+        this.#grid = {
+            minX, minY, cellSize, cols, rows, offsets,
+            indices: Uint32Array.from(indices),
+            allIndices: Uint32Array.from(this.#samples.keys()),
+        };
+        return this.#grid;
+    }
 }
-
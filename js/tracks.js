@@ -0,0 +1,71 @@
+// Built-in track definitions (centerline control points for ClosedSpline) and the track file format
+
+import { CONFIG } from './config.js';
+import { Track } from './track.js';
+
+export const DEFAULT_TRACK_CENTERLINE = [
+    { x: 200, y: -25 },
+    { x: 550, y: -25 },
+    { x: 875, y: -25 },
+    { x: 1150, y: 300 },
+    { x: 975, y: 650 },
+    { x: 1225, y: 775 },
+    { x: 1300, y: 1025 },
+    { x: 950, y: 1300 },
+    { x: 550, y: 1250 },
+    { x: 450, y: 1075 },
+    { x: 300, y: 1100 },
+    { x: 75, y: 1300 },
+    { x: -425, y: 1125 },
+    { x: -475, y: 625 },
+    { x: -150, y: 600 },
+    { x: -350, y: 400 },
+    { x: -50, y: 100 },
+];
+
+// Track files are JSON: { name, points: [{ x, y }, ...], width }
+// `width` is the road half-width in pixels (same meaning as CONFIG.ROAD_HALF_WIDTH)
+export const DEFAULT_TRACK = {
+    name: 'Krampus Circuit',
+    points: DEFAULT_TRACK_CENTERLINE,
+    width: CONFIG.ROAD_HALF_WIDTH,
+};
+
+/**
+ * Validate and normalize track JSON (from a file, the editor or a generator)
+ * @param {Object} data - { name, points, width }
+ * @returns {{ name: string, points: {x: number, y: number}[], width: number }} Clean copy
+ * @throws {Error} If the data cannot describe a closed track
+ */
+export function parseTrackData(data) {
+    if (!data || !Array.isArray(data.points)) {
+        throw new Error('Track data needs a "points" array');
+    }
+    if (data.points.length < 3) {
+        throw new Error(`Track needs at least 3 control points, got ${data.points.length}`);
+    }
+    
+    const points = data.points.map((p, i) => {
+        if (!Number.isFinite(p?.x) || !Number.isFinite(p?.y)) {
+            throw new Error(`Track point ${i} is not a valid { x, y }`);
+        }
+        return { x: p.x, y: p.y };
+    });
+    
+    const width = data.width ?? CONFIG.ROAD_HALF_WIDTH;
+    if (!Number.isFinite(width) || width <= 0) {
+        throw new Error(`Track width must be a positive number, got ${data.width}`);
+    }
+    
+    return { name: String(data.name ?? 'Untitled'), points, width };
+}
+
+/**
+ * Build a Track from track data
+ * @param {Object} data - { name, points, width }
+ * @returns {Track}
+ */
+export function createTrack(data) {
+    const { points, width } = parseTrackData(data);
+    return new Track(points, width);
+}
@@ -0,0 +1,213 @@
+// Training loop pieces shared by the browser (js/main.js) and the headless runner (headless/train.js)
+// No rendering or DOM access here - callers own drawing, logging and scheduling
+
+import { CONFIG } from './config.js';
+import { computeReward } from './ppo/reward.js';
+import { resetFinishedCars, respawnCars } from './simulation.js';
+import { createTrack } from './tracks.js';
+import { generateTrack } from './track-generator.js';
+import { average, pushWithLimit } from './utils.js';
+
+/**
+ * Fresh training statistics (merged into the caller's state object)
+ * @returns {Object}
+ */
+export function createTrainingStats() {
+    return {
+        totalSteps: 0,
+        updateCount: 0,
+        rolloutSteps: 0,    // Lockstep steps since the last update (the horizon in 'steps' rollout mode)
+        recentRewards: [],  // Rolling window of episode rewards (max 100)
+        recentLaps: [],     // Rolling window of lap completions: 1 = finished a lap, 0 = crashed (max 100)
+        bestEpisodeReward: -Infinity,
+        
+        // Reward history for charting
+        rewardHistory: [],
+        diagnosticsHistory: [],  // PPO diagnostics per update (approx KL, clip fraction, ...)
+        maxHistoryLen: 100,
+        stageHistory: [],   // Curriculum stage changes: { updateCount, stage, name }
+        
+        // Critic accuracy tracking
+        criticPredictions: [],  // V₀ predictions at episode start
+        actualReturns: [],      // Actual discounted returns
+        avgPrediction: 0,
+        avgActual: 0,
+    };
+}
+
+/**
+ * Advance every live car by one physics step in lockstep, then recycle finished episodes
+ * All cars observe first, then one batched forward pass picks every car's action
+ * @param {Object} state - { track, cars, agent, ...createTrainingStats() } (mutated)
+ * @param {Function} [onStep] - Callback({ state, action, reward, value, progress, dead }) per car step
+ */
+export function stepEnvironment(state, onStep) {
+    const liveCars = state.cars.filter(car => !car.dead && !car.finished);
+    const stateVecs = liveCars.map(car => car.getStateVector(state.track));
+    const decisions = state.agent.actBatch(stateVecs, liveCars.map(car => car.recurrentState));
+    
+    liveCars.forEach((car, i) => {
+        const step = stepCar(state, car, stateVecs[i], decisions[i]);
+        if (onStep) onStep(step);
+    });
+    
+    state.rolloutSteps++;
+    
+    // Reset dead/finished cars
+    resetFinishedCars(state.cars, state.track, (car) => recordEpisode(state, car));
+    
+    // Record critic prediction for newly spawned cars
+    const spawned = state.cars.filter(car => car.episodeLength === 0 && !car.dead && !car.finished);
+    const startValues = state.agent.getValues(
+        spawned.map(car => car.getStateVector(state.track)),
+        spawned.map(car => car.recurrentState)
+    );
+    const rewardScale = state.agent.getRewardScale();
+    spawned.forEach((car, i) => {
+        car.criticPrediction = startValues[i] * rewardScale;
+    });
+}
+
+function stepCar(state, car, stateVec, decision) {
+    const { action, value, logProb, observation, recurrentState, nextRecurrentState, policyVersion } = decision;
+    const wasInitialized = car.progressInitialized;
+    const prevTotalProgress = car.totalProgress;
+    
+    // Apply action and update
+    car.applyAction(action);
+    car.update(state.track, state.cars);
+    
+    // Compute reward
+    const effectivePrevProgress = wasInitialized ? prevTotalProgress : car.totalProgress;
+    const reward = computeReward(car, effectivePrevProgress);
+    car.episodeReward += reward;
+    
+    // Track discounted return for critic accuracy
+    const discount = Math.pow(CONFIG.PPO.GAMMA, car.episodeLength);
+    car.episodeDiscountedReturn += discount * reward;
+    
+    // Store in trajectory - what the network saw (the normalized state when observation normalization is on)
+    // and the memory and weights it acted with; the car carries the updated memory to its next decision
+    car.trajectory.push({ state: observation, action, reward, value, logProb, recurrentState, policyVersion });
+    car.recurrentState = nextRecurrentState;
+    
+    return {
+        state: stateVec,
+        action,
+        reward,
+        value,
+        progress: car.totalProgress,
+        dead: car.dead,
+    };
+}
+
+// Hand a car's pending steps to the agent as one segment
+function flushTrajectory(state, car, end) {
+    for (const step of car.trajectory) {
+        state.agent.store(
+            step.state, step.action, step.reward, step.value, step.logProb, step.recurrentState, step.policyVersion
+        );
+    }
+    car.rewardReturn = state.agent.endSegment({ ...end, discountedReturn: car.rewardReturn });
+    state.totalSteps += car.trajectory.length;
+    car.trajectory = [];
+}
+
+// Flush a finished episode to the training buffer and update stats
+// A crash or lap terminates it; running out of time (MAX_EPISODE_LENGTH) truncates it, so it is bootstrapped
+function recordEpisode(state, car) {
+    flushTrajectory(state, car, car.truncated
+        ? { truncated: true, bootstrapValue: state.agent.getValue(car.getStateVector(state.track), car.recurrentState) }
+        : { terminated: true });
+    
+    // Track critic accuracy
+    if (car.episodeLength > 0) {
+        pushWithLimit(state.criticPredictions, car.criticPrediction, 100);
+        pushWithLimit(state.actualReturns, car.episodeDiscountedReturn, 100);
+        state.avgPrediction = average(state.criticPredictions);
+        state.avgActual = average(state.actualReturns);
+    }
+    
+    // Track episode reward and lap completion
+    pushWithLimit(state.recentRewards, car.episodeReward, 100);
+    pushWithLimit(state.recentLaps, car.finished ? 1 : 0, 100);
+    if (car.episodeReward > state.bestEpisodeReward) {
+        state.bestEpisodeReward = car.episodeReward;
+    }
+}
+
+/**
+ * Whether enough experience has been collected for an update
+ * 'episodes' rollouts wait for MIN_EPISODES_FOR_UPDATE finished episodes; 'steps' rollouts for ROLLOUT_STEPS steps per car
+ * @param {Object} state - Training state
+ * @returns {boolean}
+ */
+export function isRolloutComplete(state) {
+    const ppo = CONFIG.PPO;
+    switch (ppo.ROLLOUT_MODE) {
+        case 'episodes':
+            return state.agent.shouldUpdate();
+        case 'steps':
+            return state.rolloutSteps >= ppo.ROLLOUT_STEPS;
+        default:
+            throw new Error(`Unknown ROLLOUT_MODE "${ppo.ROLLOUT_MODE}" (expected "episodes" or "steps")`);
+    }
+}
+
+/**
+ * Run one PPO update on the collected experience
+ * In 'steps' rollout mode every car's in-flight steps are flushed first as a truncated segment,
+ * bootstrapped from the critic's value of where the car is now; the cars drive on afterwards
+ * With `state.learner` set (a WorkerLearner, browser only) the update runs in its Web Worker; the experience is
+ * handed over at once, so stepEnvironment can keep going with the old weights until this resolves
+ * @param {Object} state - Training state (mutated: updateCount, rewardHistory, diagnosticsHistory, and the track when regenerating)
+ * @returns {Promise<{ stats: Object, avgReward: number, trackName: string, newTrack: Object|null }>} Agent update
+ *   stats, current average episode reward, the track the episodes were driven on, and the track data switched
+ *   to if CONFIG.TRACK_GEN.REGENERATE_EVERY kicked in
+ */
+export async function runPPOUpdate(state) {
+    if (CONFIG.PPO.ROLLOUT_MODE === 'steps') {
+        const liveCars = state.cars.filter(car => !car.dead && !car.finished && car.trajectory.length > 0);
+        const bootstrapValues = state.agent.getValues(
+            liveCars.map(car => car.getStateVector(state.track)),
+            liveCars.map(car => car.recurrentState)
+        );
+        liveCars.forEach((car, i) => {
+            flushTrajectory(state, car, { truncated: true, bootstrapValue: bootstrapValues[i], episodeEnded: false });
+        });
+    }
+    state.rolloutSteps = 0;
+    
+    const stats = state.learner
+        ? await state.learner.update(state.agent)
+        : await state.agent.update();
+    state.updateCount = stats.updateCount;
+    
+    // Track average reward for chart
+    const avgReward = average(state.recentRewards);
+    pushWithLimit(state.rewardHistory, avgReward, state.maxHistoryLen);
+    pushWithLimit(state.diagnosticsHistory, stats.diagnostics, state.maxHistoryLen);
+    
+    // Optionally move to a fresh random track so the policy can't memorize one circuit
+    const trackName = state.trackData.name;
+    const every = CONFIG.TRACK_GEN.REGENERATE_EVERY;
+    let newTrack = null;
+    if (every > 0 && state.updateCount % every === 0) {
+        newTrack = generateTrack(CONFIG.TRACK_GEN.SEED + state.updateCount / every);
+        setTrack(state, newTrack);
+    }
+    
+    return { stats, avgReward, trackName, newTrack };
+}
+
+/**
+ * Switch training to a different track without rebuilding the agent
+ * Cars respawn on the new track; partial episodes from the old one are discarded
+ * @param {Object} state - Training state (mutated: trackData, track, cars)
+ * @param {Object} trackData - { name, points, width } (from tracks.js, the editor or generateTrack)
+ */
+export function setTrack(state, trackData) {
+    state.trackData = trackData;
+    state.track = createTrack(trackData);
+    respawnCars(state.cars, state.track);
+}
@@ -8,9 +8,14 @@ const elements = {
     criticStats: document.getElementById('critic-stats'),
     avgReward: document.getElementById('avg-reward'),
     progress: document.getElementById('leader-progress'),
+    lapRate: document.getElementById('lap-rate'),
+    curriculum: document.getElementById('curriculum-stage'),
+    hyperparams: document.getElementById('hyperparams'),
+    simSpeed: document.getElementById('sim-speed'),
+    stepsPerSecond: document.getElementById('steps-per-sec'),
 };
 
-export function updateUI({ generation, bestFitness, aliveCount, totalCount, message, actorStats, criticStats, avgReward, leaderProgress }) {
+export function updateUI({ generation, bestFitness, aliveCount, totalCount, message, actorStats, criticStats, avgReward, leaderProgress, lapRate, curriculumStage, hyperparams, simSpeed, stepsPerSecond }) {
     if (elements.gen) elements.gen.textContent = generation;
     if (elements.best) elements.best.textContent = Math.floor(bestFitness);
     if (elements.alive) elements.alive.textContent = aliveCount;
@@ -20,4 +25,9 @@ export function updateUI({ generation, bestFitness, aliveCount, totalCount, mess
     if (elements.criticStats) elements.criticStats.textContent = criticStats;
     if (elements.avgReward) elements.avgReward.textContent = avgReward.toFixed(1);
     if (elements.progress) elements.progress.textContent = Math.floor(leaderProgress * 100) + '%';
+    if (elements.lapRate) elements.lapRate.textContent = Math.round(lapRate * 100) + '%';
+    if (elements.curriculum) elements.curriculum.textContent = curriculumStage;
+    if (elements.hyperparams) elements.hyperparams.textContent = hyperparams;
+    if (elements.simSpeed) elements.simSpeed.textContent = simSpeed;
+    if (elements.stepsPerSecond) elements.stepsPerSecond.textContent = stepsPerSecond;
 }